@@ -4,6 +4,9 @@
  */
 
 const ProFinance = {
+  // How often date-driven reminders are checked while the app stays open
+  reminderInterval: 60 * 60 * 1000,
+
   // Module references
   store: null,
   ui: null,
@@ -29,9 +32,22 @@ const ProFinance = {
     // Initialize engines
     this.engines = {
       monteCarlo: MonteCarlo,
+      monteCarloRunner: MonteCarloRunner,
       tax: TaxCalculator,
+      householdTax: HouseholdTax,
+      capitalGains: CapitalGains,
+      salary: Salary,
+      cashFlow: CashFlow,
+      harvestingPlanner: HarvestingPlanner,
+      advanceTax: AdvanceTax,
+      taxCredits: TaxCredits,
+      businessIncome: BusinessIncome,
+      taxDeductions: TaxDeductions,
+      houseProperty: HouseProperty,
+      regimeOptimizer: RegimeOptimizer,
       inflation: Inflation,
-      debtSnowball: DebtSnowball
+      debtSnowball: DebtSnowball,
+      stressTest: StressTest
     };
 
     // Initialize UI handlers
@@ -49,7 +65,8 @@ const ProFinance = {
     // Initialize views
     this.views = {
       flow: FlowView,
-      reservoir: ReservoirView
+      reservoir: ReservoirView,
+      tax: TaxView
     };
 
     // Initialize components
@@ -63,7 +80,9 @@ const ProFinance = {
       FlowView.init();
       ReservoirView.init();
       this.refresh();
+      this.checkReminders();
     }, 100);
+    setInterval(() => this.checkReminders(), this.reminderInterval);
 
     // Setup state change listener
     Store.subscribe('main', () => {
@@ -144,6 +163,77 @@ const ProFinance = {
         this.ui.showModal('goal-modal');
       },
 
+      toggleScheduleFields: (formId, frequency) => {
+        const form = document.getElementById(formId);
+        if (!form) return;
+        form.querySelectorAll('[data-schedule="recurring"]').forEach(el => {
+          el.style.display = frequency !== 'monthly' && frequency !== 'one-off' ? 'block' : 'none';
+        });
+        form.querySelectorAll('[data-schedule="one-off"]').forEach(el => {
+          el.style.display = frequency === 'one-off' ? 'block' : 'none';
+        });
+      },
+
+      toggleSalaryFields: (show) => {
+        const section = document.getElementById('salary-structure-section');
+        if (section) {
+          section.style.display = show ? 'block' : 'none';
+        }
+      },
+
+      toggleBusinessFields: (type) => {
+        const section = document.getElementById('business-income-section');
+        if (section) {
+          section.style.display = BusinessIncome.types.includes(type) ? 'block' : 'none';
+        }
+      },
+
+      showSettingsModal: () => {
+        // Old vs new regime for the household, HRA included
+        const comparison = HouseholdTax.compareRegimes(Store.get());
+        const el = document.getElementById('settings-regime-comparison');
+        if (el) {
+          el.innerHTML = comparison.byEntity
+            .filter(e => e.old.totalTax > 0 || e.new.totalTax > 0)
+            .map(e => `${e.name}: ${e.recommendation}`)
+            .join('<br>');
+        }
+        const fySelect = document.getElementById('settings-fy');
+        if (fySelect) {
+          const current = Store.get('configuration.financialYear') || TaxCalculator.defaultFinancialYear;
+          const years = TaxCalculator.getFinancialYears();
+          if (!years.includes(current)) years.unshift(current);
+          fySelect.innerHTML = years.map(year => `
+            <option value="${year}" ${year === current ? 'selected' : ''}>${TaxCalculator.describeFinancialYear(year)}</option>
+          `).join('');
+        }
+        const seedInput = document.getElementById('settings-mc-seed');
+        if (seedInput) seedInput.value = MonteCarlo.getSeed();
+        const guardrailsInput = document.getElementById('settings-retirement-guardrails');
+        if (guardrailsInput) guardrailsInput.checked = !!Store.get('configuration.retirementGuardrails');
+        const inflationInput = document.getElementById('settings-stochastic-inflation');
+        if (inflationInput) inflationInput.checked = Store.get('configuration.stochasticInflation') !== false;
+        this.ui.renderReturnModelSettings();
+        this.ui.showModal('settings-modal');
+      },
+
+      renderReturnModelSettings: () => {
+        const container = document.getElementById('settings-return-models');
+        if (!container) return;
+
+        const labels = { normal: 'Normal', lognormal: 'Lognormal', 'student-t': 'Student-t', 'regime-switching': 'Bull/Bear regimes', 'yearly-replay': 'Past years (approx.)' };
+        container.innerHTML = Object.entries(MonteCarlo.getReturnModels()).map(([category, model]) => `
+          <div class="grid-2 mb-2" data-return-model="${category}">
+            <select class="form-select">
+              ${MonteCarlo.returnModelTypes.map(type => `
+                <option value="${type}" ${model.model === type ? 'selected' : ''}>${category.charAt(0).toUpperCase() + category.slice(1)}: ${labels[type]}</option>
+              `).join('')}
+            </select>
+            <input type="number" class="form-input" value="${model.df || 5}" min="3" step="1" title="Degrees of freedom (Student-t)">
+          </div>
+        `).join('');
+      },
+
       toggleLoanFields: (show) => {
         const section = document.getElementById('loan-details-section');
         if (section) {
@@ -197,6 +287,17 @@ const ProFinance = {
         ProFinance.ui.showModal('manage-data-modal');
       },
 
+      addManageItem: () => {
+        const type = ProFinance.ui.currentManageType || 'income';
+        if (type === 'taxCredit') {
+          ProFinance.data.addTaxCredit();
+        } else if (type === 'capitalLoss') {
+          ProFinance.data.addCapitalLoss();
+        } else {
+          ProFinance.ui.showAddDataModal(type);
+        }
+      },
+
       switchManageTab: (type) => {
         ProFinance.ui.currentManageType = type;
         
@@ -244,6 +345,16 @@ const ProFinance = {
             amountField = 'principal';
             typeField = 'loanType';
             break;
+          case 'taxCredit':
+            items = TaxCredits.getCredits(entity, Store.get('configuration')?.financialYear || TaxCalculator.defaultFinancialYear);
+            break;
+          case 'capitalLoss':
+            items = (entity.capitalLossLedger || []).map(loss => ({
+              ...loss,
+              name: `FY ${loss.financialYear}`,
+              type: loss.term === 'long' ? 'Long-term loss' : 'Short-term loss'
+            }));
+            break;
         }
 
         if (items.length === 0) {
@@ -253,16 +364,42 @@ const ProFinance = {
         }
 
         emptyState.style.display = 'none';
-        listContainer.innerHTML = items.map(item => `
+
+        // Tax paid against this year's liability
+        let summary = '';
+        if (type === 'taxCredit') {
+          const tax = HouseholdTax.calculateEntityTax(entity, Store.get('configuration') || {});
+          summary = `
+            <div class="text-sm text-muted mb-3">
+              FY ${TaxCalculator.describeFinancialYear(tax.params.financialYear)}: tax ${Validators.formatCurrency(tax.totalTax)},
+              paid ${Validators.formatCurrency(tax.taxPaid)} →
+              <strong>${tax.netPayable >= 0 ? `${Validators.formatCurrency(tax.netPayable)} payable` : `${Validators.formatCurrency(tax.refund)} refund`}</strong>
+            </div>`;
+        }
+
+        // Losses from returns already filed, or booked this year outside tracked sales
+        if (type === 'capitalLoss') {
+          const financialYear = Store.get('configuration')?.financialYear || TaxCalculator.defaultFinancialYear;
+          const carried = HouseholdTax.getBroughtForwardLosses(entity, financialYear)
+            .reduce((sum, loss) => sum + loss.amount, 0);
+          summary = `
+            <div class="text-sm text-muted mb-3">
+              Carried into FY ${financialYear}: <strong>${Validators.formatCurrency(carried)}</strong>
+            </div>`;
+        }
+
+        listContainer.innerHTML = summary + items.map(item => `
           <div class="data-item flex justify-between items-center p-3 mb-2" 
                style="background: var(--bg-tertiary); border-radius: var(--radius-lg);">
             <div style="flex: 1; min-width: 0;">
               <div class="font-semibold" style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${item[labelField]}</div>
-              <div class="text-sm text-muted">${item[typeField] || 'Other'}</div>
+              <div class="text-sm text-muted">${item[typeField] || 'Other'}${type === 'income' && Salary.hasStructure(item) ? ` · CTC ${Validators.formatCurrency(Salary.getCTC(item.salaryStructure))}/yr` : ''}${type === 'income' && item.businessDetails ? ` · ${BusinessIncome.schemes[item.businessDetails.scheme].name}${BusinessIncome.calculate(item).eligible ? '' : ' ⚠️ receipts over the limit'}` : ''}${type === 'asset' && item.contribution ? ` · + ${Validators.formatCurrency(item.contribution.amount)}${Models.getFrequency(item.contribution.frequency).suffix}` : ''}</div>
             </div>
             <div class="flex items-center gap-3">
-              <span class="font-semibold" style="white-space: nowrap;">${Validators.formatCurrency(item[amountField] || 0)}</span>
-              <button class="btn btn-sm btn-secondary" onclick="ProFinance.data.editItem('${type}', '${item.id}')">✏️</button>
+              <span class="font-semibold" style="white-space: nowrap;">${Validators.formatCurrency(item[amountField] || 0)}${item.frequency && item.frequency !== 'monthly' ? Models.getFrequency(item.frequency).suffix : ''}</span>
+              ${type === 'asset' && item.lots?.length ? `<button class="btn btn-sm btn-secondary" onclick="ProFinance.data.sellAsset('${item.id}')">💱</button>` : ''}
+              ${type === 'asset' && item.assetType === 'real-estate' ? `<button class="btn btn-sm btn-secondary" onclick="ProFinance.data.editProperty('${item.id}')">🏠</button>` : ''}
+              ${type !== 'capitalLoss' ? `<button class="btn btn-sm btn-secondary" onclick="ProFinance.data.editItem('${type}', '${item.id}')">✏️</button>` : ''}
               <button class="btn btn-sm btn-outline" style="color: var(--accent-danger); border-color: var(--accent-danger);" 
                       onclick="ProFinance.data.deleteItem('${type}', '${item.id}')">🗑️</button>
             </div>
@@ -314,6 +451,23 @@ const ProFinance = {
           
           switch (type) {
             case 'income':
+              if (data.type === 'salary' && data.basic) {
+                data.salaryStructure = {
+                  basic: data.basic,
+                  da: data.da,
+                  hra: data.hra,
+                  specialAllowance: data.specialAllowance,
+                  employerEPF: data.employerEPF,
+                  employerNPS: data.employerNPS,
+                  gratuity: data.gratuity,
+                  variablePay: data.variablePay,
+                  bonusMonth: data.bonusMonth,
+                  rentPaid: data.rentPaid,
+                  metro: data.metro
+                };
+                // Monthly amount follows from the components
+                data.amount = Salary.getMonthlyAmount(Store.createSalaryStructure(data.salaryStructure));
+              }
               validation = Validators.validateIncome(data);
               if (!validation.valid) {
                 Notifications.error('Validation Error', validation.errors[0]);
@@ -377,6 +531,11 @@ const ProFinance = {
           }
 
           form.reset();
+          this.ui.toggleScheduleFields(form.id, 'monthly');
+          if (type === 'income') {
+            this.ui.toggleSalaryFields(true);
+            this.ui.toggleBusinessFields('salary');
+          }
           this.ui.closeModal('add-data-modal');
           this.refresh();
 
@@ -435,6 +594,7 @@ const ProFinance = {
             <option value="groceries">Groceries</option>
             <option value="insurance">Insurance</option>
             <option value="education">Education</option>
+            <option value="tuition">Tuition</option>
             <option value="healthcare">Healthcare</option>
             <option value="lifestyle">Lifestyle</option>
             <option value="other">Other</option>
@@ -492,6 +652,9 @@ const ProFinance = {
           case 'liability':
             items = entity.liabilities;
             break;
+          case 'taxCredit':
+            items = entity.taxCredits;
+            break;
         }
 
         item = items?.find(i => i.id === itemId);
@@ -505,9 +668,28 @@ const ProFinance = {
         const newAmount = prompt('Edit amount:', item[amountField]);
         if (newAmount === null) return; // Cancelled
 
+        // Assets also carry a recurring contribution (0 to stop it)
+        let newContribution = null;
+        if (type === 'asset') {
+          newContribution = prompt(
+            `Recurring contribution (${item.contribution ? Models.getFrequency(item.contribution.frequency).name.toLowerCase() : 'monthly'}):`,
+            item.contribution?.amount || 0
+          );
+          if (newContribution === null) return; // Cancelled
+        }
+
+        // Incomes also carry a yearly growth (blank for the type's default)
+        let newGrowth = null;
+        if (type === 'income') {
+          newGrowth = prompt('Yearly growth (%):', item.growthRate ?? '');
+          if (newGrowth === null) return; // Cancelled
+        }
+
         try {
           const updates = { name: newName };
           updates[amountField] = parseFloat(newAmount);
+          if (newContribution !== null) updates.contributionAmount = newContribution;
+          if (newGrowth !== null) updates.growthRate = newGrowth;
 
           switch (type) {
             case 'income':
@@ -522,6 +704,9 @@ const ProFinance = {
             case 'liability':
               Store.updateLiability(entityId, itemId, updates);
               break;
+            case 'taxCredit':
+              Store.updateTaxCredit(entityId, itemId, updates);
+              break;
           }
 
           Notifications.success('Updated', `${newName} has been updated`);
@@ -532,6 +717,195 @@ const ProFinance = {
         }
       },
 
+      sellAsset: (assetId) => {
+        const entityId = FamilyOffice.activeEntity || 'user';
+        const asset = Store.getEntity(entityId)?.assets.find(a => a.id === assetId);
+        if (!asset) return;
+
+        // Simple sale dialog - prompt for units, price and date
+        const units = prompt(`Units to sell (${CapitalGains.getUnitsHeld(asset)} held):`);
+        if (units === null) return;
+
+        const price = prompt('Sale price per unit:', Math.round(CapitalGains.getCurrentPrice(asset) * 100) / 100);
+        if (price === null) return;
+
+        const date = prompt('Sale date (YYYY-MM-DD):', new Date().toISOString().substring(0, 10));
+        if (date === null) return;
+
+        const sale = { units, price, date };
+        const validation = Validators.validateSale(sale, asset);
+        if (!validation.valid) {
+          Notifications.error('Validation Error', validation.errors[0]);
+          return;
+        }
+
+        try {
+          const result = Store.sellAsset(entityId, assetId, sale);
+          const gain = result.realizations.reduce((sum, r) => sum + r.gain, 0);
+          Notifications.success(
+            'Sale Recorded',
+            `${asset.name}: ${gain >= 0 ? 'gain' : 'loss'} of ${Validators.formatCurrency(Math.abs(gain))} in FY ${result.financialYear}`
+          );
+          ProFinance.ui.renderManageList('asset');
+          ProFinance.refresh();
+        } catch (error) {
+          Notifications.error('Error', error.message);
+        }
+      },
+
+      editProperty: (assetId) => {
+        const entityId = FamilyOffice.activeEntity || 'user';
+        const entity = Store.getEntity(entityId);
+        const asset = entity?.assets.find(a => a.id === assetId);
+        if (!asset) return;
+
+        const current = HouseProperty.getDetails(asset);
+        const entities = Store.get('entities') || [];
+        const rentIncome = entity.incomeStreams.find(income => income.propertyId === assetId);
+
+        // Simple dialog - prompt for occupancy, rent, taxes, loan and owners
+        const occupancy = prompt('Occupancy (self-occupied, let-out):', current.occupancy);
+        if (occupancy === null) return;
+
+        let monthlyRent = 0;
+        if (occupancy === 'let-out') {
+          monthlyRent = prompt('Monthly rent:', rentIncome?.amount || '');
+          if (monthlyRent === null) return;
+        }
+
+        const municipalTaxes = prompt('Municipal taxes paid per year:', current.municipalTaxes);
+        if (municipalTaxes === null) return;
+
+        const homeLoans = entities.flatMap(e => e.liabilities.filter(l => l.loanType === 'home'));
+        const currentLoan = homeLoans.find(l => l.id === current.loanId);
+        const loanName = prompt(
+          `Home loan for this property (${homeLoans.map(l => l.name).join(', ') || 'none recorded'}; blank for none):`,
+          currentLoan?.name || (homeLoans.length === 1 ? homeLoans[0].name : '')
+        );
+        if (loanName === null) return;
+        const loan = homeLoans.find(l => l.name.toLowerCase() === loanName.trim().toLowerCase());
+        if (loanName.trim() && !loan) {
+          Notifications.error('Validation Error', `No home loan named ${loanName}`);
+          return;
+        }
+
+        const nameOf = (id) => entities.find(e => e.id === id)?.name || id;
+        const owners = prompt(
+          'Ownership shares by member, e.g. "Rahul 50, Priya 50" (blank for sole owner):',
+          current.coOwners.map(o => `${nameOf(o.entityId)} ${o.share}`).join(', ')
+        );
+        if (owners === null) return;
+        const coOwners = owners.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+          const match = part.match(/^(.*?)\s+([\d.]+)%?$/);
+          const member = match && entities.find(e => e.name.toLowerCase() === match[1].trim().toLowerCase());
+          return { entityId: member?.id || null, share: match ? match[2] : 0 };
+        });
+
+        const details = { occupancy, monthlyRent, municipalTaxes, loanId: loan?.id || null, coOwners };
+        const validation = Validators.validateProperty(details);
+        if (!validation.valid) {
+          Notifications.error('Validation Error', validation.errors[0]);
+          return;
+        }
+
+        try {
+          Store.setPropertyDetails(entityId, assetId, details);
+          Notifications.success('Property Updated', `${asset.name} is ${HouseProperty.occupancies[occupancy].name.toLowerCase()}`);
+          ProFinance.ui.renderManageList('asset');
+          ProFinance.refresh();
+        } catch (error) {
+          Notifications.error('Error', error.message);
+        }
+      },
+
+      addTaxCredit: () => {
+        const entityId = FamilyOffice.activeEntity || 'user';
+
+        // Simple dialog - prompt for type, payee, amount and date
+        const type = prompt('Type (tds, tcs, advance-tax, self-assessment):', 'tds');
+        if (type === null) return;
+        if (!TaxCredits.types[type]) {
+          Notifications.error('Validation Error', 'Unknown tax credit type');
+          return;
+        }
+
+        const name = prompt('Deducted by / paid via:', TaxCredits.types[type].name);
+        if (name === null) return;
+
+        const amount = prompt('Amount:');
+        if (amount === null) return;
+        if (!(parseFloat(amount) > 0)) {
+          Notifications.error('Validation Error', 'Amount must be a positive number');
+          return;
+        }
+
+        const date = prompt('Date (YYYY-MM-DD):', new Date().toISOString().substring(0, 10));
+        if (date === null) return;
+
+        try {
+          const credit = Store.addTaxCredit(entityId, { type, name, amount, date });
+          Notifications.success('Tax Credit Added', `${credit.name} recorded for FY ${credit.financialYear}`);
+          ProFinance.ui.renderManageList('taxCredit');
+          ProFinance.refresh();
+        } catch (error) {
+          Notifications.error('Error', error.message);
+        }
+      },
+
+      addCapitalLoss: () => {
+        const entityId = FamilyOffice.activeEntity || 'user';
+
+        // Simple dialog - prompt for year, term and amount
+        const financialYear = prompt('Financial year of the loss (e.g. 2024-25):',
+          Store.get('configuration')?.financialYear || TaxCalculator.defaultFinancialYear);
+        if (financialYear === null) return;
+        if (!/^\d{4}-\d{2}$/.test(financialYear.trim())) {
+          Notifications.error('Validation Error', 'Enter the financial year as YYYY-YY');
+          return;
+        }
+
+        const term = prompt('Term (short, long):', 'short');
+        if (term === null) return;
+        if (!['short', 'long'].includes(term.trim())) {
+          Notifications.error('Validation Error', 'Term must be short or long');
+          return;
+        }
+
+        const amount = prompt('Loss amount:');
+        if (amount === null) return;
+        if (!(parseFloat(amount) > 0)) {
+          Notifications.error('Validation Error', 'Amount must be a positive number');
+          return;
+        }
+
+        try {
+          const loss = Store.addCapitalLoss(entityId, { financialYear: financialYear.trim(), term: term.trim(), amount });
+          Notifications.success('Capital Loss Added', `${loss.term === 'long' ? 'Long' : 'Short'}-term loss recorded for FY ${loss.financialYear}`);
+          ProFinance.ui.renderManageList('capitalLoss');
+          ProFinance.refresh();
+        } catch (error) {
+          Notifications.error('Error', error.message);
+        }
+      },
+
+      importTaxStatement: async (event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        const entityId = FamilyOffice.activeEntity || 'user';
+        try {
+          const json = await Persistence.readJSONFile(file);
+          const added = Store.importTaxCredits(entityId, TaxCredits.parseStatement(json));
+          Notifications.success('Statement Imported', `${added.length} new tax credit(s) added`);
+          ProFinance.ui.switchManageTab('taxCredit');
+          ProFinance.refresh();
+        } catch (error) {
+          Notifications.error('Import Failed', error.message);
+        }
+
+        event.target.value = '';
+      },
+
       deleteItem: (type, itemId) => {
         if (!confirm('Are you sure you want to delete this item?')) return;
 
@@ -551,6 +925,12 @@ const ProFinance = {
             case 'liability':
               Store.deleteLiability(entityId, itemId);
               break;
+            case 'taxCredit':
+              Store.deleteTaxCredit(entityId, itemId);
+              break;
+            case 'capitalLoss':
+              Store.deleteCapitalLoss(entityId, itemId);
+              break;
           }
 
           Notifications.success('Deleted', 'Item has been removed');
@@ -606,15 +986,18 @@ const ProFinance = {
           // Add new goal
           goal = Store.addGoal(data);
           
-          // Check achievability and show warning if low
-          if (goal.achievability < 0.5) {
-            Notifications.warning(
-              'Goal Needs Optimization',
-              `${goal.name} has only ${Math.round(goal.achievability * 100)}% probability of success. Consider using the optimizer.`
-            );
-          } else {
-            Notifications.success('Goal Created', `${goal.name} added to your financial plan`);
-          }
+          // Check achievability once simulated and show warning if low
+          Store.whenGoalSimulated(goal.id).then(simulated => {
+            if (!simulated) return;
+            if (simulated.achievability < 0.5) {
+              Notifications.warning(
+                'Goal Needs Optimization',
+                `${simulated.name} has only ${Math.round(simulated.achievability * 100)}% probability of success. Consider using the optimizer.`
+              );
+            } else {
+              Notifications.success('Goal Created', `${simulated.name} added to your financial plan`);
+            }
+          });
         }
 
         // Reset form and hidden ID
@@ -645,7 +1028,7 @@ const ProFinance = {
         if (expectedReturnInput) expectedReturnInput.value = goal.expectedReturn || 12;
         
         const salaryIncrementInput = form.querySelector('input[name="salaryIncrement"]');
-        if (salaryIncrementInput) salaryIncrementInput.value = goal.salaryIncrement || 8;
+        if (salaryIncrementInput) salaryIncrementInput.value = Store.getGoalStepUp(goal);
 
         // Set funding type
         if (goal.fundingType === 'loan') {
@@ -679,6 +1062,10 @@ const ProFinance = {
         TradeOff.show(goalId);
       },
 
+      runStressTest: (scenarioId) => {
+        ReservoirView.runStressTest(scenarioId);
+      },
+
       applyTradeoff: () => {
         TradeOff.applyChanges();
       },
@@ -700,14 +1087,33 @@ const ProFinance = {
     this.settings = {
       save: () => {
         const taxRegime = document.querySelector('#settings-modal [data-regime].active')?.dataset.regime || 'new';
-        const fy = document.getElementById('settings-fy')?.value || '2025-26';
+        const fy = document.getElementById('settings-fy')?.value || TaxCalculator.defaultFinancialYear;
         const inflation = parseFloat(document.getElementById('settings-inflation')?.value) || 6;
         const mcIterations = parseInt(document.getElementById('settings-mc-iterations')?.value) || 1000;
+        const mcSeed = parseInt(document.getElementById('settings-mc-seed')?.value);
 
         Store.updateConfig('taxRegime', taxRegime);
-        Store.updateConfig('financialYear', fy);
+        // The current year is left unset so it moves on with the calendar
+        Store.updateConfig('financialYear', fy === TaxCalculator.defaultFinancialYear ? null : fy);
         Store.updateConfig('inflationRate', inflation);
         Store.updateConfig('monteCarloIterations', mcIterations);
+        Store.updateConfig('monteCarloSeed', isNaN(mcSeed) ? MonteCarlo.defaultSeed : mcSeed);
+
+        const returnModels = { ...(Store.get('configuration.returnModels') || {}) };
+        document.querySelectorAll('#settings-return-models [data-return-model]').forEach(row => {
+          const model = row.querySelector('select').value;
+          const df = parseInt(row.querySelector('input').value) || 5;
+          returnModels[row.dataset.returnModel] = model === 'student-t'
+            ? { model, df: Math.max(3, df) }
+            : { ...(returnModels[row.dataset.returnModel]?.model === model ? returnModels[row.dataset.returnModel] : {}), model };
+        });
+        Store.updateConfig('returnModels', returnModels);
+
+        const guardrails = document.getElementById('settings-retirement-guardrails')?.checked;
+        Store.updateConfig('retirementGuardrails', guardrails ? { ...MonteCarlo.defaultGuardrails } : null);
+        const stochasticInflation = document.getElementById('settings-stochastic-inflation')?.checked;
+        if (stochasticInflation !== undefined) Store.updateConfig('stochasticInflation', stochasticInflation);
+        Store.recalculateGoals();
 
         Notifications.success('Settings Saved', 'Your preferences have been updated');
         this.ui.closeModal('settings-modal');
@@ -756,6 +1162,8 @@ const ProFinance = {
       FlowView.refresh();
     } else if (currentView === 'reservoir') {
       ReservoirView.refresh();
+    } else if (currentView === 'tax') {
+      TaxView.refresh();
     }
 
     FamilyOffice.renderEntities();
@@ -763,6 +1171,17 @@ const ProFinance = {
     Notifications.updateBadge();
   },
 
+  /**
+   * Fire any reminders now due; each is sent once (see sentReminders)
+   */
+  checkReminders() {
+    // FY-end tax harvesting reminder (February and March)
+    HarvestingPlanner.checkReminder(Store.get());
+
+    // Advance tax installment reminders
+    AdvanceTax.checkReminders(Store.get());
+  },
+
   /**
    * Show welcome message for new users
    */
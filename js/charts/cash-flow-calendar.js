@@ -0,0 +1,133 @@
+/**
+ * Pro-Finance Cash Flow Calendar Chart
+ * Month-by-month inflows, outflows and running balance using ECharts
+ */
+
+const CashFlowCalendarChart = {
+  chart: null,
+  container: null,
+
+  /**
+   * Initialize the calendar chart
+   */
+  init(containerId) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) return;
+
+    if (typeof echarts === 'undefined') {
+      console.error('ECharts not loaded');
+      return;
+    }
+
+    this.chart = echarts.init(this.container, 'dark');
+
+    window.addEventListener('resize', () => {
+      this.chart?.resize();
+    });
+  },
+
+  /**
+   * Update chart with current data
+   */
+  update(data) {
+    if (!this.chart) return;
+
+    const calendar = CashFlow.buildCalendar(data);
+    if (calendar.every(m => m.income === 0 && m.expenses === 0)) {
+      this.chart.clear();
+      return;
+    }
+
+    const outflow = (m) => m.expenses + m.tax + m.epf + m.emi + m.sips;
+    const formatAxis = (value) => {
+      const abs = Math.abs(value);
+      if (abs >= 100000) return '₹' + (value / 100000).toFixed(1) + 'L';
+      if (abs >= 1000) return '₹' + (value / 1000).toFixed(0) + 'K';
+      return '₹' + value;
+    };
+
+    const option = {
+      backgroundColor: 'transparent',
+      tooltip: {
+        trigger: 'axis',
+        axisPointer: { type: 'shadow' },
+        formatter: (params) => {
+          const month = calendar[params[0].dataIndex];
+          const lines = [
+            `<strong>${month.label}</strong>`,
+            ...month.inflows.map(i => `+ ${i.name}: ₹${Math.round(i.amount).toLocaleString('en-IN')}`),
+            ...month.outflows.map(o => `− ${o.name}: ₹${Math.round(o.amount).toLocaleString('en-IN')}`),
+            `− Tax, EPF, EMI & SIPs: ₹${Math.round(month.tax + month.epf + month.emi + month.sips).toLocaleString('en-IN')}`,
+            `Net: <strong>₹${Math.round(month.net).toLocaleString('en-IN')}</strong>`
+          ];
+          return lines.join('<br/>');
+        }
+      },
+      legend: {
+        data: ['Inflows', 'Outflows', 'Running Balance'],
+        textStyle: { color: '#9ca3af' },
+        top: 0
+      },
+      grid: {
+        left: '3%',
+        right: '4%',
+        bottom: '3%',
+        top: '12%',
+        containLabel: true
+      },
+      xAxis: {
+        type: 'category',
+        data: calendar.map(m => m.label),
+        axisLabel: { color: '#9ca3af', fontSize: 11 },
+        axisLine: { show: false },
+        axisTick: { show: false }
+      },
+      yAxis: {
+        type: 'value',
+        axisLabel: { color: '#9ca3af', formatter: formatAxis },
+        splitLine: { lineStyle: { color: 'rgba(75, 85, 99, 0.3)' } }
+      },
+      series: [
+        {
+          name: 'Inflows',
+          type: 'bar',
+          data: calendar.map(m => Math.round(m.income)),
+          itemStyle: { color: '#10b981', borderRadius: [4, 4, 0, 0] }
+        },
+        {
+          name: 'Outflows',
+          type: 'bar',
+          data: calendar.map(m => Math.round(outflow(m))),
+          itemStyle: { color: '#ef4444', borderRadius: [4, 4, 0, 0] }
+        },
+        {
+          name: 'Running Balance',
+          type: 'line',
+          smooth: true,
+          data: calendar.map(m => Math.round(m.cumulative)),
+          lineStyle: { color: '#3b82f6', width: 2 },
+          itemStyle: { color: '#3b82f6' }
+        }
+      ]
+    };
+
+    this.chart.setOption(option, true);
+  },
+
+  /**
+   * Resize chart
+   */
+  resize() {
+    this.chart?.resize();
+  },
+
+  /**
+   * Destroy chart
+   */
+  destroy() {
+    if (this.chart) {
+      this.chart.dispose();
+      this.chart = null;
+    }
+  }
+};
@@ -350,10 +350,13 @@ const GoalCharts = {
     const projection = MonteCarlo.generateProjectionData({
       currentAmount: goal.currentValue || 0,
       monthlyContribution: goal.monthlyContribution || 0,
+      stepUp: Store.getGoalStepUp(goal),
       expectedReturn: 12,
       volatility: 15,
       years,
-      iterations: 50
+      iterations: 50,
+      seed: MonteCarlo.getSeed(),
+      returnModel: MonteCarlo.getReturnModel('equity')
     });
 
     const option = {
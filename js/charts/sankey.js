@@ -119,22 +119,27 @@ const SankeyChart = {
     let totalGoalSIPs = 0;
     let totalEMI = 0;
 
+    // Monthly equivalents: non-monthly items are spread over the year
+    const financialYear = data.configuration?.financialYear || CashFlow.getDefaultFinancialYear();
+
     // Process entities
     data.entities?.forEach(entity => {
       // Income
       entity.incomeStreams?.forEach(income => {
-        grossIncome += income.amount;
+        const monthly = Math.round(CashFlow.toMonthly(income, financialYear));
+        if (monthly <= 0) return;
+        grossIncome += monthly;
         addNode(income.name, '#10b981');
         links.push({
           source: income.name,
           target: 'Gross Income',
-          value: income.amount
+          value: monthly
         });
       });
 
       // Expenses by category
       entity.expenses?.forEach(expense => {
-        totalExpenses += expense.amount;
+        totalExpenses += Math.round(CashFlow.toMonthly(expense, financialYear));
       });
 
       // EMI from liabilities
@@ -143,14 +148,9 @@ const SankeyChart = {
       });
     });
 
-    // Calculate tax (simplified)
+    // Calculate tax per entity, rolled up to the household
     if (grossIncome > 0) {
-      const annualIncome = grossIncome * 12;
-      const taxResult = TaxCalculator.calculateTax({
-        grossIncome: annualIncome,
-        regime: data.configuration?.taxRegime || 'new'
-      });
-      totalTax = taxResult.monthlyTax;
+      totalTax = HouseholdTax.calculate(data).monthlyTax;
     }
 
     // Goal SIPs
@@ -158,8 +158,11 @@ const SankeyChart = {
       totalGoalSIPs += goal.monthlyContribution || 0;
     });
 
+    // Employee EPF is deducted from salary before it is paid out
+    const employeeEPF = Salary.getHouseholdEmployeeEPF(data);
+
     // Calculate dispensable
-    const netIncome = grossIncome - totalTax;
+    const netIncome = grossIncome - totalTax - employeeEPF;
     const dispensable = Math.max(0, netIncome - totalExpenses - totalEMI - totalGoalSIPs);
 
     // Only create flow if we have income
@@ -171,6 +174,11 @@ const SankeyChart = {
         links.push({ source: 'Gross Income', target: 'Income Tax', value: totalTax });
       }
 
+      if (employeeEPF > 0) {
+        addNode('EPF', '#8b5cf6');
+        links.push({ source: 'Gross Income', target: 'EPF', value: employeeEPF });
+      }
+
       addNode('Net Income', '#3b82f6');
       links.push({ source: 'Gross Income', target: 'Net Income', value: netIncome });
 
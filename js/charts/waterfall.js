@@ -193,17 +193,21 @@ const WaterfallChart = {
     let totalEMI = 0;
     let goalSIPs = 0;
 
+    // Monthly equivalents: non-monthly items are spread over the year
+    const financialYear = data.configuration?.financialYear || CashFlow.getDefaultFinancialYear();
+
     // Process entities
     data.entities?.forEach(entity => {
       entity.incomeStreams?.forEach(income => {
-        grossIncome += income.amount;
+        grossIncome += Math.round(CashFlow.toMonthly(income, financialYear));
       });
 
       entity.expenses?.forEach(expense => {
+        const monthly = Math.round(CashFlow.toMonthly(expense, financialYear));
         if (expense.type === 'fixed') {
-          fixedExpenses += expense.amount;
+          fixedExpenses += monthly;
         } else {
-          variableExpenses += expense.amount;
+          variableExpenses += monthly;
         }
       });
 
@@ -211,22 +215,13 @@ const WaterfallChart = {
         totalEMI += liability.emi;
       });
 
-      // Check for EPF in assets (mandatory deduction)
-      entity.assets?.forEach(asset => {
-        if (asset.assetType === 'epf') {
-          // Assume 12% employer contribution
-          mandatoryRetirement += grossIncome * 0.12;
-        }
-      });
+      // Employee EPF from recorded salary structures
+      mandatoryRetirement += Salary.getContributions(entity).employeeEPF;
     });
 
-    // Calculate tax
+    // Calculate tax per entity, rolled up to the household
     if (grossIncome > 0) {
-      const taxResult = TaxCalculator.calculateTax({
-        grossIncome: grossIncome * 12,
-        regime: data.configuration?.taxRegime || 'new'
-      });
-      totalTax = taxResult.monthlyTax;
+      totalTax = HouseholdTax.calculate(data).monthlyTax;
     }
 
     // Goal SIPs
@@ -29,7 +29,7 @@ const Navigation = {
     });
 
     document.getElementById('settings-btn')?.addEventListener('click', () => {
-      ProFinance.ui.showModal('settings-modal');
+      ProFinance.ui.showSettingsModal();
     });
 
     document.getElementById('notification-btn')?.addEventListener('click', () => {
@@ -51,7 +51,7 @@ const Navigation = {
   },
 
   /**
-   * Switch between Flow and Reservoir views
+   * Switch between Flow, Reservoir and Tax views
    */
   switchView(view) {
     this.currentView = view;
@@ -77,6 +77,8 @@ const Navigation = {
       ProFinance.views.flow.refresh();
     } else if (view === 'reservoir') {
       ProFinance.views.reservoir.refresh();
+    } else if (view === 'tax') {
+      ProFinance.views.tax.refresh();
     }
   },
 
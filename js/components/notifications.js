@@ -85,6 +85,27 @@ const Notifications = {
     return this.show({ type: 'info', title, message });
   },
 
+  /**
+   * Show a persistent toast with a progress bar
+   * Returns { update(fraction), done() }
+   */
+  showProgress(title, message = '') {
+    const toast = this.show({ type: 'info', title, message, persistent: true });
+    const bar = document.createElement('div');
+    bar.className = 'goal-progress-bar mt-2';
+    bar.innerHTML = '<div class="goal-progress-fill" style="width: 0%"></div>';
+    toast.querySelector('.toast-content').appendChild(bar);
+
+    return {
+      update(fraction) {
+        bar.firstChild.style.width = `${Math.round(Math.min(1, fraction) * 100)}%`;
+      },
+      done() {
+        toast.remove();
+      }
+    };
+  },
+
   /**
    * Show life event modal (salary hike)
    */
@@ -150,12 +171,14 @@ const Notifications = {
    * Show LTCG harvesting reminder
    */
   showHarvestingReminder(data) {
-    const { harvestingOpportunity, taxSaved } = data;
+    const { harvestingOpportunity = 0, lossesBooked = 0, taxSaved } = data;
     
-    this.info(
-      '📊 Tax Harvesting Opportunity',
-      `You can realize ₹${harvestingOpportunity.toLocaleString('en-IN')} in gains to save ₹${taxSaved.toLocaleString('en-IN')} in taxes before FY end.`
-    );
+    this.show({
+      type: 'info',
+      title: '📊 Tax Harvesting Opportunity',
+      message: `You can ${HarvestingPlanner.describeSteps(harvestingOpportunity, lossesBooked)} to save ₹${taxSaved.toLocaleString('en-IN')} in taxes before FY end.`,
+      persistent: true
+    });
   },
 
   /**
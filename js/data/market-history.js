@@ -0,0 +1,66 @@
+/**
+ * Pro-Finance Market History
+ * Past Indian market returns for the yearly-replay return model
+ *
+ * APPROXIMATE: calendar-year figures (%) rounded from the sources below,
+ * for illustration only. Each year is spread evenly over its months, so
+ * replays have no volatility within a year and 25 years give few distinct
+ * blocks: treat them as a what-if on past years, not a bootstrap. The
+ * engine also reads monthly series (one value per month, the monthly
+ * change in %, frequency 'monthly') should official monthly data from the
+ * same sources be bundled.
+ */
+
+const MarketHistory = {
+  approximate: true,
+  frequency: 'annual', // 'annual' | 'monthly'
+  startYear: 2000,
+  startMonth: 1, // Of startYear; monthly series only
+  source: {
+    equity: 'NSE Indices, Nifty 50 Total Returns Index',
+    gold: 'World Gold Council, gold price in INR',
+    gsec: 'CCIL, 10-year government bond total return index',
+    cpi: 'Labour Bureau CPI-IW to 2011, MoSPI CPI (Combined) after'
+  },
+
+  series: {
+    // Nifty 50 Total Return Index
+    equity: [
+      -14.0, -15.6, 4.9, 74.6, 12.4, 38.8, 41.9, 56.8, -51.3, 77.6,
+      19.2, -23.8, 29.4, 8.1, 32.9, -3.0, 4.4, 30.3, 4.6, 13.5,
+      16.1, 25.6, 5.7, 21.3, 10.1
+    ],
+    // Gold in rupees
+    gold: [
+      1.3, 5.6, 24.0, 13.5, 5.0, 18.5, 21.5, 17.0, 29.0, 20.5,
+      22.5, 31.0, 12.0, -4.5, -7.9, -6.6, 11.3, 5.1, 7.9, 23.8,
+      28.0, -4.2, 13.9, 15.4, 21.0
+    ],
+    // 10-year government bond, total return
+    gsec: [
+      10.5, 18.0, 15.5, 11.5, -1.0, 3.5, 4.5, 7.0, 20.0, -2.0,
+      4.5, 3.0, 11.0, -1.0, 15.0, 7.5, 15.5, -0.5, 5.0, 9.5,
+      11.0, 1.0, 1.5, 7.5, 9.5
+    ],
+    // Consumer price inflation (CPI-IW to 2011, CPI combined after)
+    cpi: [
+      4.0, 3.7, 4.4, 3.8, 3.8, 4.4, 6.7, 6.2, 9.1, 10.9,
+      12.0, 8.9, 9.3, 10.9, 6.4, 4.9, 4.9, 3.3, 3.9, 3.7,
+      6.6, 5.1, 6.7, 5.7, 5.0
+    ]
+  },
+
+  /**
+   * Number of periods (years or months) in the series
+   */
+  getLength() {
+    return Math.min(...Object.values(this.series).map(values => values.length));
+  },
+
+  /**
+   * Months covered by one period
+   */
+  getPeriodMonths() {
+    return this.frequency === 'monthly' ? 1 : 12;
+  }
+};
@@ -13,6 +13,9 @@ const Models = {
       expectedReturn: 10,
       volatility: 12,
       taxTreatment: 'ltcg-indexed',
+      holdingPeriodMonths: 24,
+      // Periods for sales before a change in the law
+      holdingPeriodHistory: [{ soldBefore: '2024-07-23', months: 36 }], // Finance (No. 2) Act 2024
       icon: '🪙'
     },
     land: {
@@ -21,6 +24,7 @@ const Models = {
       expectedReturn: 12,
       volatility: 15,
       taxTreatment: 'ltcg-indexed',
+      holdingPeriodMonths: 24,
       icon: '🏞️'
     },
     'real-estate': {
@@ -29,6 +33,7 @@ const Models = {
       expectedReturn: 10,
       volatility: 12,
       taxTreatment: 'ltcg-indexed',
+      holdingPeriodMonths: 24,
       icon: '🏠'
     },
     
@@ -57,6 +62,7 @@ const Models = {
       volatility: 2,
       taxTreatment: 'income',
       section80C: true,
+      holdingPeriodMonths: 12, // Listed bonds
       icon: '📃'
     },
     
@@ -67,6 +73,8 @@ const Models = {
       expectedReturn: 14,
       volatility: 22,
       taxTreatment: 'stcg-ltcg',
+      holdingPeriodMonths: 12,
+      listedEquity: true,
       icon: '📈'
     },
     'mutual-funds': {
@@ -75,6 +83,8 @@ const Models = {
       expectedReturn: 12,
       volatility: 18,
       taxTreatment: 'stcg-ltcg',
+      holdingPeriodMonths: 12,
+      listedEquity: true,
       icon: '📊'
     },
     elss: {
@@ -85,6 +95,8 @@ const Models = {
       taxTreatment: 'stcg-ltcg',
       section80C: true,
       lockIn: 3,
+      holdingPeriodMonths: 12,
+      listedEquity: true,
       icon: '🛡️'
     },
     
@@ -146,7 +158,10 @@ const Models = {
     transport: { name: 'Transport', icon: '🚗', essential: true },
     groceries: { name: 'Groceries', icon: '🛒', essential: true },
     insurance: { name: 'Insurance', icon: '🛡️', essential: true },
+    'life-insurance': { name: 'Life Insurance', icon: '🛡️', essential: true, taxSection: '80C' },
+    'health-insurance': { name: 'Health Insurance', icon: '🩺', essential: true, taxSection: '80D' },
     education: { name: 'Education', icon: '📚', essential: true },
+    tuition: { name: 'Tuition Fees', icon: '🎓', essential: true, taxSection: '80C' },
     healthcare: { name: 'Healthcare', icon: '🏥', essential: true },
     lifestyle: { name: 'Lifestyle', icon: '🎉', essential: false },
     entertainment: { name: 'Entertainment', icon: '🎬', essential: false },
@@ -156,8 +171,9 @@ const Models = {
   },
 
   // Income types
+  // growthRate: default yearly growth (%) of a stream that sets none
   incomeTypes: {
-    salary: { name: 'Salary', icon: '💼', taxable: true },
+    salary: { name: 'Salary', icon: '💼', taxable: true, growthRate: 8 },
     business: { name: 'Business Income', icon: '🏪', taxable: true },
     freelance: { name: 'Freelance', icon: '💻', taxable: true },
     rental: { name: 'Rental Income', icon: '🏠', taxable: true },
@@ -167,11 +183,21 @@ const Models = {
     other: { name: 'Other', icon: '💰', taxable: true }
   },
 
+  // Income and expense frequencies
+  // interval: months between due dates; one-off items carry a dueDate instead
+  frequencies: {
+    monthly: { name: 'Monthly', perYear: 12, interval: 1, suffix: '/mo' },
+    quarterly: { name: 'Quarterly', perYear: 4, interval: 3, suffix: '/qtr' },
+    'half-yearly': { name: 'Half-yearly', perYear: 2, interval: 6, suffix: '/half-yr' },
+    annual: { name: 'Annual', perYear: 1, interval: 12, suffix: '/yr' },
+    'one-off': { name: 'One-off', perYear: 0, interval: null, suffix: ' once' }
+  },
+
   // Loan types
   loanTypes: {
-    home: { name: 'Home Loan', icon: '🏠', taxBenefit: true },
+    home: { name: 'Home Loan', icon: '🏠', taxBenefit: true, floatingRate: true },
     car: { name: 'Car Loan', icon: '🚗', taxBenefit: false },
-    education: { name: 'Education Loan', icon: '🎓', taxBenefit: true },
+    education: { name: 'Education Loan', icon: '🎓', taxBenefit: true, floatingRate: true },
     personal: { name: 'Personal Loan', icon: '👤', taxBenefit: false },
     'credit-card': { name: 'Credit Card', icon: '💳', taxBenefit: false, highInterest: true },
     gold: { name: 'Gold Loan', icon: '🪙', taxBenefit: false },
@@ -203,6 +229,13 @@ const Models = {
     return this.expenseCategories[category] || this.expenseCategories.other;
   },
 
+  /**
+   * Get frequency info
+   */
+  getFrequency(frequency) {
+    return this.frequencies[frequency] || this.frequencies.monthly;
+  },
+
   /**
    * Get loan type info
    */
@@ -218,6 +251,13 @@ const Models = {
     return type?.highInterest || loan.interestRate > 15;
   },
 
+  /**
+   * Check if a loan's rate floats with policy rates (repo-linked)
+   */
+  isFloatingRateLoan(loan) {
+    return !!this.loanTypes[loan.loanType]?.floatingRate;
+  },
+
   /**
    * Get all assets grouped by category
    */
@@ -15,19 +15,57 @@ const Validators = {
     }
     
     if (!data.amount || isNaN(parseFloat(data.amount)) || parseFloat(data.amount) <= 0) {
-      errors.push('Monthly amount must be a positive number');
+      errors.push('Amount must be a positive number');
     }
     
     if (parseFloat(data.amount) > 100000000) {
       errors.push('Amount seems too high. Please verify.');
     }
     
+    errors.push(...this.validateSchedule(data));
+    
+    if (data.salaryStructure) {
+      const { basic, bonusMonth, variablePay } = data.salaryStructure;
+      if (!(parseFloat(basic) > 0)) {
+        errors.push('Basic salary is required for the salary structure');
+      }
+      if (parseFloat(variablePay) > 0 && !(parseInt(bonusMonth) >= 1 && parseInt(bonusMonth) <= 12)) {
+        errors.push('Select the month variable pay is paid');
+      }
+    }
+    
+    if (BusinessIncome.types.includes(data.type)) {
+      const digitalPercent = parseFloat(data.digitalPercent);
+      if (data.digitalPercent && (isNaN(digitalPercent) || digitalPercent < 0 || digitalPercent > 100)) {
+        errors.push('Digital receipts should be between 0% and 100%');
+      }
+      if (data.businessExpenses && (isNaN(parseFloat(data.businessExpenses)) || parseFloat(data.businessExpenses) < 0)) {
+        errors.push('Business expenses cannot be negative');
+      }
+    }
+    
     return {
       valid: errors.length === 0,
       errors
     };
   },
 
+  /**
+   * Validate frequency and due dates of an income or expense
+   */
+  validateSchedule(data) {
+    const errors = [];
+    const frequency = data.frequency || 'monthly';
+
+    if (!Models.frequencies[frequency]) {
+      errors.push('Unknown frequency');
+    } else if (frequency === 'one-off' && !/^\d{4}-\d{2}$/.test(data.dueDate || '')) {
+      errors.push('Select the month a one-off amount is due');
+    }
+
+    return errors;
+  },
+
   /**
    * Validate expense input
    */
@@ -39,13 +77,15 @@ const Validators = {
     }
     
     if (!data.amount || isNaN(parseFloat(data.amount)) || parseFloat(data.amount) <= 0) {
-      errors.push('Monthly amount must be a positive number');
+      errors.push('Amount must be a positive number');
     }
     
     if (parseFloat(data.amount) > 10000000) {
       errors.push('Amount seems too high. Please verify.');
     }
     
+    errors.push(...this.validateSchedule(data));
+    
     return {
       valid: errors.length === 0,
       errors
@@ -78,6 +118,77 @@ const Validators = {
       errors.push('Volatility should be between 0% and 100%');
     }
     
+    if (data.units && (isNaN(parseFloat(data.units)) || parseFloat(data.units) <= 0)) {
+      errors.push('Units must be a positive number');
+    }
+    
+    if (data.purchaseDate && new Date(data.purchaseDate) > new Date()) {
+      errors.push('Purchase date cannot be in the future');
+    }
+    
+    if (data.contributionAmount && (isNaN(parseFloat(data.contributionAmount)) || parseFloat(data.contributionAmount) < 0)) {
+      errors.push('Contribution cannot be negative');
+    }
+    
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  },
+
+  /**
+   * Validate asset sale input
+   */
+  validateSale(data, asset) {
+    const errors = [];
+    const units = parseFloat(data.units);
+    
+    if (!data.units || isNaN(units) || units <= 0) {
+      errors.push('Units to sell must be a positive number');
+    } else if (asset && units > CapitalGains.getUnitsHeld(asset) + 1e-9) {
+      errors.push(`Only ${CapitalGains.getUnitsHeld(asset)} units are held`);
+    }
+    
+    if (data.price && (isNaN(parseFloat(data.price)) || parseFloat(data.price) < 0)) {
+      errors.push('Sale price must be a non-negative number');
+    }
+    
+    if (data.date && isNaN(new Date(data.date).getTime())) {
+      errors.push('Sale date is invalid');
+    }
+    
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  },
+
+  /**
+   * Validate house property details
+   */
+  validateProperty(data) {
+    const errors = [];
+    
+    if (!HouseProperty.occupancies[data.occupancy]) {
+      errors.push('Occupancy must be self-occupied or let-out');
+    }
+    
+    if (data.occupancy === 'let-out' && (isNaN(parseFloat(data.monthlyRent)) || parseFloat(data.monthlyRent) <= 0)) {
+      errors.push('Rent must be a positive number for a let-out property');
+    }
+    
+    if (data.municipalTaxes && (isNaN(parseFloat(data.municipalTaxes)) || parseFloat(data.municipalTaxes) < 0)) {
+      errors.push('Municipal taxes cannot be negative');
+    }
+    
+    const shares = data.coOwners || [];
+    if (shares.some(owner => !owner.entityId)) {
+      errors.push('Every co-owner must be a household member');
+    }
+    if (shares.length > 0 && Math.abs(shares.reduce((sum, owner) => sum + (parseFloat(owner.share) || 0), 0) - 100) > 0.01) {
+      errors.push('Co-owner shares must add up to 100%');
+    }
+    
     return {
       valid: errors.length === 0,
       errors
@@ -0,0 +1,238 @@
+/**
+ * Pro-Finance Advance Tax Engine
+ * Installment schedule, 234B/234C interest and due-date reminders
+ */
+
+const AdvanceTax = {
+  // Advance tax applies when tax after TDS is at least this much
+  threshold: 10000,
+
+  // Cumulative share of the year's tax due by each date (month, day)
+  installments: [
+    { month: 6, day: 15, cumulativePercent: 15 },
+    { month: 9, day: 15, cumulativePercent: 45 },
+    { month: 12, day: 15, cumulativePercent: 75 },
+    { month: 3, day: 15, cumulativePercent: 100 }
+  ],
+
+  // 234C: no interest on the first two installments if at least this was paid
+  safeHarbourPercent: { 15: 12, 45: 36 },
+
+  // Simple interest per month (or part month) under 234B and 234C
+  interestRate: 1,
+
+  // 234B: assessed tax paid by 31 March must be at least this share
+  section234BPercent: 90,
+
+  // Days before a due date that the reminder fires
+  reminderDays: 7,
+
+  /**
+   * Installment due dates for a financial year
+   */
+  getDueDates(financialYear) {
+    const startYear = parseInt(financialYear, 10);
+    return this.installments.map(inst => {
+      const year = inst.month >= 4 ? startYear : startYear + 1;
+      return {
+        dueDate: `${year}-${String(inst.month).padStart(2, '0')}-${String(inst.day).padStart(2, '0')}`,
+        cumulativePercent: inst.cumulativePercent
+      };
+    });
+  },
+
+  /**
+   * Tax an employer would withhold: tax on salary income alone
+   */
+  estimateSalaryTDS(entity, configuration = {}) {
+    const params = HouseholdTax.buildTaxParams(entity, configuration);
+    const salaryIncome = (entity.incomeStreams || [])
+      .filter(income => income.type === 'salary' && income.taxable !== false)
+      .reduce((sum, income) => sum + Salary.getAnnualTaxable(income, params.financialYear), 0);
+
+    if (salaryIncome <= 0) return 0;
+
+    return TaxCalculator.calculateTax({
+      ...params,
+      grossIncome: salaryIncome,
+      salaryIncome,
+      ltcg: 0,
+      stcg: 0,
+      ltcgOther: 0,
+      stcgOther: 0,
+      broughtForwardLosses: []
+    }).totalTax;
+  },
+
+  /**
+   * Projected liability for the year, net of TDS
+   * Uses TDS/TCS recorded in the ledger, else estimates salary TDS
+   */
+  projectLiability(entity, configuration = {}, tds = null) {
+    const { totalTax, params } = HouseholdTax.calculateEntityTax(entity, configuration);
+    const recorded = TaxCredits.getCredits(entity, params.financialYear)
+      .filter(credit => credit.type === 'tds' || credit.type === 'tcs');
+    const deducted = tds ?? (recorded.length > 0
+      ? recorded.reduce((sum, credit) => sum + credit.amount, 0)
+      : this.estimateSalaryTDS(entity, configuration));
+
+    return {
+      totalTax,
+      tds: Math.min(deducted, totalTax),
+      netLiability: Math.max(0, totalTax - deducted)
+    };
+  },
+
+  /**
+   * Interest base: shortfall rounded down to the nearest ₹100
+   */
+  roundDown(amount) {
+    return Math.floor(Math.max(0, amount) / 100) * 100;
+  },
+
+  /**
+   * Months (or part months) from the start of one month to a date, inclusive
+   */
+  monthsBetween(from, to) {
+    const start = new Date(from);
+    const end = new Date(to);
+    return Math.max(0, (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + 1);
+  },
+
+  /**
+   * Installment schedule with paid amounts and interest
+   * - payments: [{ date, amount }] advance tax already paid
+   * - interest: accrued on due dates that have passed
+   * - interestIfUnpaid: if nothing more is paid before 31 March
+   */
+  buildSchedule(params) {
+    const {
+      netLiability = 0,
+      payments = [],
+      financialYear = TaxCalculator.defaultFinancialYear,
+      asOf = new Date(),
+      assessmentDate = null // When the balance is settled, for 234B (default 31 July)
+    } = params;
+
+    const today = new Date(asOf);
+    const applicable = netLiability >= this.threshold;
+    const paidBy = (date) => payments
+      .filter(p => new Date(p.date) <= new Date(date))
+      .reduce((sum, p) => sum + (p.amount || 0), 0);
+
+    const dueDates = this.getDueDates(financialYear);
+    const installments = dueDates.map((due, i) => {
+      const required = applicable ? netLiability * (due.cumulativePercent / 100) : 0;
+      const passed = today > new Date(due.dueDate);
+      const paid = paidBy(passed ? due.dueDate : today);
+      const shortfall = Math.max(0, required - paid);
+
+      // The March installment bears one month's interest, the others three
+      const months = i === dueDates.length - 1 ? 1 : 3;
+      const safeHarbour = this.safeHarbourPercent[due.cumulativePercent];
+      const exempt = safeHarbour !== undefined && paid >= netLiability * (safeHarbour / 100);
+      const interest = exempt ? 0 : this.roundDown(shortfall) * (this.interestRate / 100) * months;
+
+      return {
+        dueDate: due.dueDate,
+        cumulativePercent: due.cumulativePercent,
+        required: Math.round(required),
+        paid: Math.round(paid),
+        amountDue: Math.round(shortfall),
+        status: shortfall <= 0 ? 'paid' : (passed ? 'overdue' : 'upcoming'),
+        interest234C: passed ? Math.round(interest) : 0,
+        interest234CIfUnpaid: Math.round(interest)
+      };
+    });
+
+    // 234B: advance tax paid by 31 March below 90% of the assessed tax
+    const yearEnd = dueDates[dueDates.length - 1].dueDate.replace(/-15$/, '-31');
+    const settledOn = assessmentDate || `${parseInt(financialYear, 10) + 1}-07-31`;
+    const paidByYearEnd = paidBy(yearEnd);
+    const section234B = applicable && paidByYearEnd < netLiability * (this.section234BPercent / 100)
+      ? this.roundDown(netLiability - paidByYearEnd) * (this.interestRate / 100) *
+        this.monthsBetween(`${parseInt(financialYear, 10) + 1}-04-01`, settledOn)
+      : 0;
+    const yearEnded = today > new Date(yearEnd);
+
+    const interest234C = installments.reduce((sum, inst) => sum + inst.interest234C, 0);
+    const interest234CIfUnpaid = installments.reduce((sum, inst) => sum + inst.interest234CIfUnpaid, 0);
+    const next = installments.find(inst => inst.status === 'upcoming') || null;
+
+    return {
+      financialYear,
+      applicable,
+      netLiability: Math.round(netLiability),
+      paidToDate: Math.round(paidBy(today)),
+      installments,
+      nextInstallment: next,
+      interest: {
+        section234B: yearEnded ? Math.round(section234B) : 0,
+        section234C: interest234C,
+        total: (yearEnded ? Math.round(section234B) : 0) + interest234C
+      },
+      interestIfUnpaid: {
+        section234B: Math.round(section234B),
+        section234C: interest234CIfUnpaid,
+        total: Math.round(section234B) + interest234CIfUnpaid
+      }
+    };
+  },
+
+  /**
+   * Advance tax for a single entity
+   * Payments default to the advance tax recorded in the entity's ledger
+   */
+  calculateEntity(entity, configuration = {}, asOf = new Date(), payments = null) {
+    const financialYear = configuration.financialYear || TaxCalculator.defaultFinancialYear;
+    const liability = this.projectLiability(entity, configuration);
+    const advancePayments = payments || TaxCredits.getCredits(entity, financialYear)
+      .filter(credit => credit.type === 'advance-tax')
+      .map(credit => ({ date: credit.date, amount: credit.amount }));
+
+    return {
+      entityId: entity.id,
+      name: entity.name,
+      totalTax: liability.totalTax,
+      tds: liability.tds,
+      ...this.buildSchedule({ netLiability: liability.netLiability, payments: advancePayments, financialYear, asOf })
+    };
+  },
+
+  /**
+   * Advance tax for every entity in the household
+   */
+  calculate(state, asOf = new Date()) {
+    const configuration = state.configuration || {};
+    return (state.entities || []).map(entity => this.calculateEntity(entity, configuration, asOf));
+  },
+
+  /**
+   * Notify once per entity and due date in the days before an installment
+   */
+  checkReminders(state, today = new Date()) {
+    const sent = [...(state.sentReminders || [])];
+    const fired = [];
+
+    this.calculate(state, today).forEach(schedule => {
+      const next = schedule.nextInstallment;
+      if (!schedule.applicable || !next) return;
+
+      const daysLeft = Math.ceil((new Date(next.dueDate) - today) / 86400000);
+      const key = `advance-tax-${schedule.entityId}-${next.dueDate}`;
+      if (daysLeft > this.reminderDays || sent.includes(key)) return;
+
+      sent.push(key);
+      fired.push(Store.addNotification({
+        type: 'warning',
+        title: '🧾 Advance Tax Due',
+        message: `${schedule.name}: pay ₹${next.amountDue.toLocaleString('en-IN')} by ${next.dueDate} ` +
+          `(${next.cumulativePercent}% of ₹${schedule.netLiability.toLocaleString('en-IN')} for FY ${TaxCalculator.describeFinancialYear(schedule.financialYear)})`,
+        action: { type: 'advance-tax', entityId: schedule.entityId, dueDate: next.dueDate }
+      }));
+    });
+
+    if (fired.length > 0) Store.set('sentReminders', sent);
+    return fired;
+  }
+};
@@ -0,0 +1,108 @@
+/**
+ * Pro-Finance Business Income Engine
+ * Presumptive (44ADA / 44AD) and books-based profit for self-employed income
+ */
+
+const BusinessIncome = {
+  // Income types taxed as profits of business or profession
+  types: ['business', 'freelance'],
+
+  // Deemed profit as a share of receipts; turnover limits rise when cash
+  // receipts stay within the cash percent
+  schemes: {
+    '44ADA': {
+      name: 'Presumptive, profession (44ADA)',
+      percent: 50,
+      turnoverLimit: 5000000,
+      raisedLimit: 7500000,
+      cashPercent: 5
+    },
+    '44AD': {
+      name: 'Presumptive, business (44AD)',
+      percent: 8, // Cash receipts
+      digitalPercent: 6, // Receipts by bank transfer or other digital modes
+      turnoverLimit: 20000000,
+      raisedLimit: 30000000,
+      cashPercent: 5
+    },
+    regular: {
+      name: 'Regular books'
+    }
+  },
+
+  /**
+   * Is this income stream business or professional income?
+   */
+  isBusiness(income) {
+    return !!income && this.types.includes(income.type);
+  },
+
+  /**
+   * Presumptive scheme that fits an income type
+   */
+  getDefaultScheme(type) {
+    return type === 'freelance' ? '44ADA' : '44AD';
+  },
+
+  /**
+   * Taxable profit from one business or freelance income stream
+   * Receipts are the stream's amounts over the financial year
+   */
+  calculate(income, financialYear = CashFlow.getDefaultFinancialYear()) {
+    const details = income.businessDetails || {};
+    const scheme = this.schemes[details.scheme] ? details.scheme : this.getDefaultScheme(income.type);
+    const receipts = CashFlow.getAnnualAmount(income, financialYear);
+
+    if (scheme === 'regular') {
+      const profit = receipts - (details.expenses || 0);
+      return {
+        scheme,
+        receipts,
+        expenses: details.expenses || 0,
+        taxableIncome: Math.max(0, profit),
+        loss: Math.max(0, -profit), // Set off in getEntityIncome and HouseholdTax, never against salary
+        eligible: true
+      };
+    }
+
+    const rules = this.schemes[scheme];
+    const digitalShare = Math.min(100, Math.max(0, details.digitalPercent ?? 100)) / 100;
+    const cashShare = 1 - digitalShare;
+    const limit = cashShare * 100 <= rules.cashPercent ? rules.raisedLimit : rules.turnoverLimit;
+
+    const taxableIncome = scheme === '44AD'
+      ? receipts * digitalShare * (rules.digitalPercent / 100) + receipts * cashShare * (rules.percent / 100)
+      : receipts * (rules.percent / 100);
+
+    return {
+      scheme,
+      receipts,
+      expenses: receipts - Math.round(taxableIncome),
+      taxableIncome: Math.round(taxableIncome),
+      loss: 0,
+      // Receipts above the limit must be taxed on books instead
+      eligible: receipts <= limit,
+      turnoverLimit: limit
+    };
+  },
+
+  /**
+   * Business and professional income for an entity
+   * A loss on one stream is set off against profit on the others; what
+   * is left is the head's loss for the year
+   */
+  getEntityIncome(entity, financialYear) {
+    const streams = (entity.incomeStreams || [])
+      .filter(income => income.taxable !== false && this.isBusiness(income))
+      .map(income => ({ incomeId: income.id, name: income.name, ...this.calculate(income, financialYear) }));
+    const profit = streams.reduce((sum, s) => sum + s.taxableIncome, 0);
+    const loss = streams.reduce((sum, s) => sum + s.loss, 0);
+
+    return {
+      streams,
+      receipts: streams.reduce((sum, s) => sum + s.receipts, 0),
+      taxableIncome: Math.max(0, profit - loss),
+      loss: Math.max(0, loss - profit)
+    };
+  }
+};
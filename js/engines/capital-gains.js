@@ -0,0 +1,184 @@
+/**
+ * Pro-Finance Capital Gains Engine
+ * Purchase lots, FIFO sale matching and short/long-term classification
+ */
+
+const CapitalGains = {
+  // Listed equity bought on or before this date is grandfathered
+  // at its fair market value on 31-Jan-2018
+  grandfatheringDate: '2018-01-31',
+
+  /**
+   * Get the financial year ('2025-26') a date falls in
+   */
+  getFinancialYear(date) {
+    const d = new Date(date);
+    const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  },
+
+  /**
+   * Holding period (months) for an asset type, under the rules in force
+   * on the sale date
+   */
+  getHoldingPeriodMonths(assetType, saleDate) {
+    const { holdingPeriodMonths, holdingPeriodHistory = [] } = Models.getAssetDefaults(assetType);
+    const sold = new Date(saleDate);
+    const earlier = holdingPeriodHistory
+      .filter(period => sold < new Date(period.soldBefore))
+      .sort((a, b) => new Date(a.soldBefore) - new Date(b.soldBefore))[0];
+    return earlier ? earlier.months : holdingPeriodMonths;
+  },
+
+  /**
+   * Is a holding long-term for this asset type?
+   * Long-term means held for MORE than the holding period
+   */
+  isLongTerm(assetType, purchaseDate, saleDate) {
+    const holdingMonths = this.getHoldingPeriodMonths(assetType, saleDate);
+    if (!holdingMonths) return false;
+
+    const threshold = new Date(purchaseDate);
+    threshold.setMonth(threshold.getMonth() + holdingMonths);
+    return new Date(saleDate) > threshold;
+  },
+
+  /**
+   * Is this asset type taxed as listed equity (111A / 112A)?
+   */
+  isEquity(assetType) {
+    return !!Models.getAssetDefaults(assetType).listedEquity;
+  },
+
+  /**
+   * Units still held in an asset
+   */
+  getUnitsHeld(asset) {
+    return (asset.lots || []).reduce((sum, lot) => sum + lot.remainingUnits, 0);
+  },
+
+  /**
+   * Current market price per unit
+   */
+  getCurrentPrice(asset) {
+    const units = this.getUnitsHeld(asset);
+    return units > 0 ? asset.currentValue / units : 0;
+  },
+
+  /**
+   * Cost of acquisition for units from a lot
+   * Applies grandfathering for pre-Feb-2018 listed equity
+   */
+  getCostOfAcquisition(assetType, lot, units, saleValue) {
+    const actualCost = (lot.cost / lot.units) * units;
+
+    const grandfathered = this.isEquity(assetType) &&
+      lot.fmv2018 > 0 &&
+      new Date(lot.date) <= new Date(this.grandfatheringDate);
+
+    if (!grandfathered) return actualCost;
+
+    const fmv = lot.fmv2018 * units;
+    return Math.max(actualCost, Math.min(fmv, saleValue));
+  },
+
+  /**
+   * Match a sale against lots, oldest first (FIFO)
+   * Returns one realization per lot touched; does not mutate the asset
+   */
+  matchSale(asset, sale) {
+    const { date, units, price, expenses = 0 } = sale;
+    const lots = [...(asset.lots || [])]
+      .filter(lot => lot.remainingUnits > 0)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const available = lots.reduce((sum, lot) => sum + lot.remainingUnits, 0);
+    if (units > available + 1e-9) {
+      throw new Error(`Cannot sell ${units} units, only ${available} held`);
+    }
+
+    const realizations = [];
+    let unitsLeft = units;
+
+    for (const lot of lots) {
+      if (unitsLeft <= 1e-9) break;
+
+      const unitsFromLot = Math.min(lot.remainingUnits, unitsLeft);
+      // Transfer expenses are apportioned by units sold
+      const saleValue = unitsFromLot * price - expenses * (unitsFromLot / units);
+      const cost = this.getCostOfAcquisition(asset.assetType, lot, unitsFromLot, saleValue);
+      const longTerm = this.isLongTerm(asset.assetType, lot.date, date);
+
+      realizations.push({
+        lotId: lot.id,
+        units: unitsFromLot,
+        purchaseDate: lot.date,
+        saleDate: date,
+        cost: Math.round(cost),
+        saleValue: Math.round(saleValue),
+        gain: Math.round(saleValue - cost),
+        term: longTerm ? 'long' : 'short',
+        equity: this.isEquity(asset.assetType)
+      });
+
+      unitsLeft -= unitsFromLot;
+    }
+
+    return realizations;
+  },
+
+  /**
+   * Realized gains for an entity in a financial year, by tax bucket
+   * - stcgEquity: 111A (flat rate)
+   * - ltcgEquity: 112A (flat rate above exemption)
+   * - stcgOther: taxed at slab rates
+   * - ltcgOther: 112 (flat rate, no exemption)
+   */
+  summarizeRealizedGains(entity, financialYear) {
+    const summary = {
+      stcgEquity: 0,
+      ltcgEquity: 0,
+      stcgOther: 0,
+      ltcgOther: 0,
+      realizations: []
+    };
+
+    (entity.assets || []).forEach(asset => {
+      (asset.sales || []).forEach(sale => {
+        if (sale.financialYear !== financialYear) return;
+
+        sale.realizations.forEach(r => {
+          const bucket = (r.term === 'long' ? 'ltcg' : 'stcg') + (r.equity ? 'Equity' : 'Other');
+          summary[bucket] += r.gain;
+          summary.realizations.push({ assetId: asset.id, assetName: asset.name, ...r });
+        });
+      });
+    });
+
+    return summary;
+  },
+
+  /**
+   * Unrealized gains per open lot at the current market price
+   */
+  getUnrealizedGains(asset, asOf = new Date()) {
+    const price = this.getCurrentPrice(asset);
+
+    return (asset.lots || [])
+      .filter(lot => lot.remainingUnits > 0)
+      .map(lot => {
+        const marketValue = lot.remainingUnits * price;
+        const cost = this.getCostOfAcquisition(asset.assetType, lot, lot.remainingUnits, marketValue);
+        return {
+          lotId: lot.id,
+          units: lot.remainingUnits,
+          purchaseDate: lot.date,
+          cost: Math.round(cost),
+          marketValue: Math.round(marketValue),
+          gain: Math.round(marketValue - cost),
+          term: this.isLongTerm(asset.assetType, lot.date, asOf) ? 'long' : 'short',
+          equity: this.isEquity(asset.assetType)
+        };
+      });
+  }
+};
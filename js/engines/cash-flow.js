@@ -0,0 +1,131 @@
+/**
+ * Pro-Finance Cash Flow Engine
+ * Frequency-aware amounts and the month-by-month cash-flow calendar
+ */
+
+const CashFlow = {
+  monthNames: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
+  /**
+   * Calendar months of a financial year, April to March
+   */
+  getFinancialYearMonths(financialYear) {
+    const startYear = parseInt(financialYear, 10);
+    return Array.from({ length: 12 }, (_, i) => {
+      const month = ((i + 3) % 12) + 1;
+      return { year: month >= 4 ? startYear : startYear + 1, month };
+    });
+  },
+
+  /**
+   * Financial year to use when none is given: the configured one,
+   * else the one today falls in
+   */
+  getDefaultFinancialYear() {
+    return Store.get('configuration')?.financialYear ||
+      CapitalGains.getFinancialYear(new Date());
+  },
+
+  /**
+   * Is an income or expense due in a calendar month (1-12)?
+   */
+  isDue(item, year, month) {
+    const frequency = item.frequency || 'monthly';
+    if (frequency === 'monthly') return true;
+    if (frequency === 'one-off') {
+      return item.dueDate === `${year}-${String(month).padStart(2, '0')}`;
+    }
+    return (item.dueMonths || []).includes(month);
+  },
+
+  /**
+   * Cash from an income or expense in a calendar month
+   */
+  getAmountForMonth(item, year, month) {
+    if (Salary.hasStructure(item)) {
+      return Salary.getPayForMonth(item.salaryStructure, month);
+    }
+    return this.isDue(item, year, month) ? (item.amount || 0) : 0;
+  },
+
+  /**
+   * Total for a financial year
+   * One-off items count only in the year they fall due
+   */
+  getAnnualAmount(item, financialYear = this.getDefaultFinancialYear()) {
+    return this.getFinancialYearMonths(financialYear)
+      .reduce((sum, { year, month }) => sum + this.getAmountForMonth(item, year, month), 0);
+  },
+
+  /**
+   * Monthly equivalent: the year's total spread evenly over 12 months
+   */
+  toMonthly(item, financialYear = this.getDefaultFinancialYear()) {
+    return this.getAnnualAmount(item, financialYear) / 12;
+  },
+
+  /**
+   * Due months for a recurring frequency, starting from the first due month
+   */
+  getDueMonths(frequency, firstMonth) {
+    const { perYear, interval } = Models.getFrequency(frequency);
+    if (!interval || frequency === 'monthly') return null;
+
+    return Array.from({ length: perYear }, (_, i) => ((firstMonth - 1 + i * interval) % 12) + 1)
+      .sort((a, b) => a - b);
+  },
+
+  /**
+   * Month-by-month cash flow for the household over a financial year
+   * Tax and employee EPF are deducted evenly, as through payroll
+   */
+  buildCalendar(state, financialYear = state.configuration?.financialYear || this.getDefaultFinancialYear()) {
+    const entities = state.entities || [];
+    const monthlyTax = HouseholdTax.calculate({
+      ...state,
+      configuration: { ...(state.configuration || {}), financialYear }
+    }).monthlyTax;
+    const employeeEPF = Salary.getHouseholdEmployeeEPF(state);
+    const totalEMI = entities.reduce((sum, entity) =>
+      sum + (entity.liabilities || []).reduce((s, l) => s + (l.emi || 0), 0), 0);
+    const goalSIPs = (state.goals || []).reduce((sum, goal) => sum + (goal.monthlyContribution || 0), 0);
+
+    let balance = 0;
+    return this.getFinancialYearMonths(financialYear).map(({ year, month }) => {
+      const inflows = [];
+      const outflows = [];
+
+      entities.forEach(entity => {
+        (entity.incomeStreams || []).forEach(income => {
+          const amount = this.getAmountForMonth(income, year, month);
+          if (amount > 0) inflows.push({ name: income.name, entityId: entity.id, amount });
+        });
+        (entity.expenses || []).forEach(expense => {
+          const amount = this.getAmountForMonth(expense, year, month);
+          if (amount > 0) outflows.push({ name: expense.name, entityId: entity.id, amount });
+        });
+      });
+
+      const income = inflows.reduce((sum, i) => sum + i.amount, 0);
+      const expenses = outflows.reduce((sum, o) => sum + o.amount, 0);
+      const net = income - expenses - monthlyTax - employeeEPF - totalEMI - goalSIPs;
+      balance += net;
+
+      return {
+        year,
+        month,
+        label: `${this.monthNames[month - 1]} ${year}`,
+        income,
+        expenses,
+        tax: monthlyTax,
+        epf: employeeEPF,
+        emi: totalEMI,
+        sips: goalSIPs,
+        net,
+        cumulative: balance,
+        inflows,
+        outflows
+      };
+    });
+  }
+};
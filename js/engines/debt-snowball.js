@@ -4,6 +4,45 @@
  */
 
 const DebtSnowball = {
+  /**
+   * Interest and principal repaid over the next months of EMIs
+   */
+  getAnnualSplit(liability, months = 12) {
+    const monthlyRate = (liability.interestRate / 100) / 12;
+    let balance = liability.principal;
+    let interest = 0;
+    let principal = 0;
+
+    for (let m = 0; m < months && balance > 0; m++) {
+      const monthInterest = balance * monthlyRate;
+      const repaid = Math.min(balance, Math.max(0, liability.emi - monthInterest));
+      interest += monthInterest;
+      principal += repaid;
+      balance -= repaid;
+    }
+
+    return { interest: Math.round(interest), principal: Math.round(principal) };
+  },
+
+  /**
+   * Liabilities after floating rates move by rateChange percentage points
+   * The remaining tenure is kept and the EMI reset to suit the new rate
+   */
+  applyRateShock(liabilities, rateChange) {
+    return liabilities.map(liability => {
+      if (!Models.isFloatingRateLoan(liability) || liability.principal <= 0) return { ...liability };
+
+      const months = liability.tenure || this.analyzeDebts([liability]).debts[0].monthsRemaining;
+      const interestRate = liability.interestRate + rateChange;
+      const monthlyRate = interestRate / 100 / 12;
+      const emi = monthlyRate > 0
+        ? liability.principal * monthlyRate * Math.pow(1 + monthlyRate, months) / (Math.pow(1 + monthlyRate, months) - 1)
+        : liability.principal / months;
+
+      return { ...liability, interestRate, emi: Math.round(emi) };
+    });
+  },
+
   /**
    * Analyze debts and create payoff strategy
    */
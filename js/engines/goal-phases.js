@@ -51,11 +51,15 @@ const GoalPhases = {
     const currentSaved = goal.currentValue || 0;
     const remainingDownpayment = Math.max(0, downpaymentTarget - currentSaved);
     
-    // Calculate monthly SIP needed for downpayment
-    const monthlyRate = 0.10 / 12; // Conservative rate for short-term goal
-    const downpaymentSIP = remainingDownpayment > 0 
-      ? remainingDownpayment * monthlyRate / (Math.pow(1 + monthlyRate, monthsToTarget) - 1)
-      : 0;
+    // Calculate starting monthly SIP needed for downpayment, stepped up yearly
+    const stepUp = Store.getGoalStepUp(goal);
+    const downpaymentSIP = MonteCarlo.calculateRequiredSIP({
+      targetAmount: remainingDownpayment,
+      expectedReturn: 10, // Conservative rate for short-term goal
+      years: monthsToTarget / 12,
+      stepUp
+    });
+    const downpaymentSchedule = MonteCarlo.getSIPSchedule(downpaymentSIP, stepUp, monthsToTarget);
 
     basePlan.phases.push({
       name: 'Accumulation Phase',
@@ -67,6 +71,8 @@ const GoalPhases = {
       current: currentSaved,
       progress: Math.min(100, (currentSaved / downpaymentTarget) * 100),
       monthlySIP: Math.round(downpaymentSIP),
+      stepUp,
+      sipSchedule: downpaymentSchedule,
       icon: '💰'
     });
 
@@ -113,6 +119,7 @@ const GoalPhases = {
     // Summary
     basePlan.summary = {
       prePurchaseSIP: Math.round(downpaymentSIP),
+      sipSchedule: downpaymentSchedule,
       postPurchaseEMI: emi,
       totalCostOfOwnership: downpaymentTarget + (emi * (goal.loanTenureYears || 20) * 12),
       recommendation: this.getLoanRecommendation(goal, emi)
@@ -131,14 +138,18 @@ const GoalPhases = {
     
     const target = goal.futureValue || goal.targetAmount;
     const current = goal.currentValue || 0;
-    const monthlyRate = 0.12 / 12;
     
-    // Calculate SIP needed
-    const fvCurrent = current * Math.pow(1 + monthlyRate, months);
-    const remaining = target - fvCurrent;
-    const sip = remaining > 0 
-      ? remaining * monthlyRate / (Math.pow(1 + monthlyRate, months) - 1)
-      : 0;
+    // Calculate starting SIP needed, stepped up yearly
+    const stepUp = Store.getGoalStepUp(goal);
+    const sip = MonteCarlo.calculateRequiredSIP({
+      currentAmount: current,
+      expectedReturn: 12,
+      targetAmount: target,
+      years: months / 12,
+      stepUp
+    });
+    const sipSchedule = MonteCarlo.getSIPSchedule(sip, stepUp, months);
+    const totalContributions = sipSchedule.reduce((sum, year) => sum + year.total, 0);
 
     basePlan.phases.push({
       name: 'Savings Phase',
@@ -150,6 +161,8 @@ const GoalPhases = {
       current: current,
       progress: Math.min(100, (current / target) * 100),
       monthlySIP: Math.round(sip),
+      stepUp,
+      sipSchedule,
       icon: '📈'
     });
 
@@ -163,9 +176,12 @@ const GoalPhases = {
 
     basePlan.summary = {
       monthlySIP: Math.round(sip),
-      totalContributions: Math.round(sip * months),
-      expectedReturns: Math.round((sip * months) * 0.4), // Rough estimate
-      recommendation: sip > 0 ? `Invest ${Validators.formatCurrency(Math.round(sip))}/month in equity funds` : 'Goal already achieved!'
+      sipSchedule,
+      totalContributions,
+      expectedReturns: Math.max(0, Math.round(target - current - totalContributions)),
+      recommendation: sip > 0
+        ? `Invest ${Validators.formatCurrency(Math.round(sip))}/month in equity funds${stepUp > 0 ? `, raising it ${stepUp}% each year` : ''}`
+        : 'Goal already achieved!'
     };
 
     return basePlan;
@@ -189,14 +205,17 @@ const GoalPhases = {
     const current = goal.currentValue || 0;
     const yearsToRetirement = corpus.yearsToRetirement;
     
-    // Phase 1: Accumulation
-    const monthlyRate = 0.12 / 12;
+    // Phase 1: Accumulation, with the SIP stepped up yearly
     const months = yearsToRetirement * 12;
-    const fvCurrent = current * Math.pow(1 + monthlyRate, months);
-    const remaining = target - fvCurrent;
-    const sip = remaining > 0 
-      ? remaining * monthlyRate / (Math.pow(1 + monthlyRate, months) - 1)
-      : 0;
+    const stepUp = Store.getGoalStepUp(goal);
+    const sip = MonteCarlo.calculateRequiredSIP({
+      currentAmount: current,
+      expectedReturn: 12,
+      targetAmount: target,
+      years: yearsToRetirement,
+      stepUp
+    });
+    const sipSchedule = MonteCarlo.getSIPSchedule(sip, stepUp, months);
 
     basePlan.phases.push({
       name: 'Wealth Building',
@@ -204,23 +223,32 @@ const GoalPhases = {
       status: 'active',
       duration: `${yearsToRetirement} years`,
       monthlySIP: Math.round(sip),
+      stepUp,
+      sipSchedule,
       target: target,
       current: current,
       icon: '📈'
     });
 
+    // Simulated in the worker by Store.simulateRetirement
+    const decumulation = goal.decumulation || null;
+
     basePlan.phases.push({
       name: 'Retirement',
       description: 'Systematic withdrawal phase',
       status: 'future',
       monthlyWithdrawal: corpus.monthlyExpensesAtRetirement,
       duration: `${corpus.retirementYears} years`,
+      decumulation,
       icon: '🏖️'
     });
 
     basePlan.summary = {
       corpusRequired: target,
       monthlySIP: Math.round(sip),
+      sipSchedule,
+      probabilityOfRuin: decumulation?.probabilityOfRuin ?? null,
+      safeWithdrawalRate: decumulation?.safeWithdrawalRate ?? null,
       monthlyExpensesAtRetirement: corpus.monthlyExpensesAtRetirement,
       recommendation: `Need ${Validators.formatCurrency(target, true)} corpus for ₹${Math.round(corpus.monthlyExpensesAtRetirement / 1000)}K/month post-retirement`
     };
@@ -228,6 +256,31 @@ const GoalPhases = {
     return basePlan;
   },
 
+  /**
+   * Inputs for MonteCarlo.simulateDecumulation from a retirement goal:
+   * the goal's corpus, drawn down by today's household expenses inflated
+   * to the retirement date
+   */
+  getDecumulationParams(goal) {
+    const configuration = Store.get('configuration') || {};
+    const inflationModel = MonteCarlo.getInflationModel(configuration);
+    const monthlyExpenses = Store.calculateTotalMonthlyExpenses() || 50000;
+    const yearsToGoal = Math.max(0, (new Date(goal.targetDate + '-01') - new Date()) / (365.25 * 24 * 60 * 60 * 1000));
+
+    return {
+      corpus: goal.futureValue || goal.targetAmount,
+      monthlyWithdrawal: Math.round(Inflation.futureValue(monthlyExpenses, yearsToGoal, configuration.inflationRate || 6)),
+      retirementAge: goal.retirementAge || 60,
+      lifeExpectancy: goal.lifeExpectancy || 85,
+      inflation: 5, // Post-retirement inflation, as in Inflation.retirementCorpus
+      inflationModel: inflationModel && { ...inflationModel, mean: 5 },
+      expectedReturn: 8, // Balanced post-retirement portfolio
+      volatility: 8,
+      returnModel: MonteCarlo.getReturnModel('retirement', configuration),
+      guardrails: configuration.retirementGuardrails || null
+    };
+  },
+
   /**
    * Education goal plan (multi-year payments)
    */
@@ -0,0 +1,237 @@
+/**
+ * Pro-Finance Harvesting Planner
+ * Household-wide tax-gain and tax-loss harvesting across equity holdings
+ */
+
+const HarvestingPlanner = {
+  // Months (0-based) in which the FY-end reminder fires: February, March
+  reminderMonths: [1, 2],
+
+  /**
+   * Build a harvesting plan for every entity
+   * Proposes lots to sell and immediately rebuy before 31 March
+   */
+  plan(state, asOf = new Date()) {
+    const financialYear = CapitalGains.getFinancialYear(asOf);
+    const configuration = { ...(state.configuration || {}), financialYear };
+
+    const byEntity = (state.entities || []).map(entity =>
+      this.planEntity(entity, configuration, asOf)
+    );
+
+    return {
+      financialYear,
+      deadline: `${parseInt(financialYear, 10) + 1}-03-31`,
+      byEntity,
+      totalGainsHarvested: byEntity.reduce((sum, e) => sum + e.gainsHarvested, 0),
+      totalLossesBooked: byEntity.reduce((sum, e) => sum + e.lossesBooked, 0),
+      totalTaxSaved: byEntity.reduce((sum, e) => sum + e.taxSaved, 0)
+    };
+  },
+
+  /**
+   * Harvesting plan for a single entity (each has its own exemption)
+   */
+  planEntity(entity, configuration, asOf) {
+    const params = HouseholdTax.buildTaxParams(entity, configuration);
+    const holdings = this.getEquityHoldings(entity, asOf);
+
+    const sum = (term, sign) => holdings.reduce((total, h) =>
+      total + h.lots
+        .filter(lot => lot.term === term && Math.sign(lot.gain) === sign)
+        .reduce((s, lot) => s + Math.abs(lot.gain), 0), 0);
+
+    const opportunity = TaxCalculator.calculateHarvestingOpportunity({
+      realizedGains: params.ltcg,
+      realizedShortTermGains: params.stcg,
+      realizedOtherGains: params.ltcgOther,
+      realizedOtherShortTermGains: params.stcgOther,
+      unrealizedGains: sum('long', 1),
+      unrealizedShortTermLosses: sum('short', -1),
+      unrealizedLongTermLosses: sum('long', -1),
+      broughtForwardLosses: params.broughtForwardLosses,
+      financialYear: configuration.financialYear
+    });
+
+    const gainProposals = this.proposeGainHarvest(entity, holdings, opportunity.harvestingOpportunity);
+    const lossProposals = this.proposeLossHarvest(entity, holdings, opportunity.lossHarvesting);
+    const gainsHarvested = gainProposals.reduce((s, p) => s + p.gain, 0);
+    const lossesBooked = lossProposals.reduce((s, p) => s - p.gain, 0);
+
+    // Scale the calculator's savings to what the proposals actually realize
+    const { lossHarvesting } = opportunity;
+    const lossTarget = lossHarvesting.bookShortTermLoss + lossHarvesting.bookLongTermLoss;
+    const taxSaved =
+      (opportunity.harvestingOpportunity > 0 ? opportunity.taxSaved * gainsHarvested / opportunity.harvestingOpportunity : 0) +
+      (lossTarget > 0 ? lossHarvesting.taxSaved * lossesBooked / lossTarget : 0);
+
+    return {
+      entityId: entity.id,
+      name: entity.name,
+      opportunity,
+      proposals: [...gainProposals, ...lossProposals],
+      gainsHarvested,
+      lossesBooked,
+      taxSaved: Math.round(taxSaved)
+    };
+  },
+
+  /**
+   * Open equity lots per asset, oldest first (the order a sale consumes them)
+   */
+  getEquityHoldings(entity, asOf) {
+    return (entity.assets || [])
+      .filter(asset => CapitalGains.isEquity(asset.assetType) && CapitalGains.getUnitsHeld(asset) > 0)
+      .map(asset => ({
+        asset,
+        lots: CapitalGains.getUnrealizedGains(asset, asOf)
+          .sort((a, b) => new Date(a.purchaseDate) - new Date(b.purchaseDate))
+      }));
+  },
+
+  /**
+   * Sell-and-rebuy long-term lots until the harvestable amount is used
+   * FIFO means only the leading run of long-term lots can be sold
+   */
+  proposeGainHarvest(entity, holdings, capacity) {
+    const proposals = [];
+    let remaining = capacity;
+
+    // Assets with the largest sellable long-term gain first
+    const candidates = holdings
+      .map(h => ({ ...h, leading: this.leadingLots(h.lots, lot => lot.term === 'long') }))
+      .filter(h => h.leading.reduce((s, lot) => s + lot.gain, 0) > 0)
+      .sort((a, b) => b.leading.reduce((s, l) => s + l.gain, 0) - a.leading.reduce((s, l) => s + l.gain, 0));
+
+    for (const { asset, leading } of candidates) {
+      if (remaining <= 0) break;
+
+      let units = 0, gain = 0, saleValue = 0;
+      for (const lot of leading) {
+        if (remaining - gain <= 0) break;
+        const gainPerUnit = lot.gain / lot.units;
+        const take = gainPerUnit > 0
+          ? Math.min(lot.units, (remaining - gain) / gainPerUnit)
+          : lot.units; // Losing lots in the run free up room
+        units += take;
+        gain += gainPerUnit * take;
+        saleValue += (lot.marketValue / lot.units) * take;
+      }
+
+      if (units > 0 && gain > 0) {
+        proposals.push(this.createProposal(entity, asset, 'gain', units, saleValue, gain, 'long'));
+        remaining -= gain;
+      }
+    }
+
+    return proposals;
+  },
+
+  /**
+   * Sell-and-rebuy loss-making lots to offset this year's taxable gains
+   */
+  proposeLossHarvest(entity, holdings, lossHarvesting) {
+    const proposals = [];
+    const remaining = {
+      short: lossHarvesting.bookShortTermLoss,
+      long: lossHarvesting.bookLongTermLoss
+    };
+
+    for (const { asset, lots } of holdings) {
+      const leading = this.leadingLots(lots, lot => lot.gain < 0);
+      const byTerm = { short: { units: 0, gain: 0, saleValue: 0 }, long: { units: 0, gain: 0, saleValue: 0 } };
+
+      for (const lot of leading) {
+        if (remaining[lot.term] <= 0) break; // FIFO: cannot skip this lot
+        const lossPerUnit = -lot.gain / lot.units;
+        const take = Math.min(lot.units, remaining[lot.term] / lossPerUnit);
+        const bucket = byTerm[lot.term];
+        bucket.units += take;
+        bucket.gain -= lossPerUnit * take;
+        bucket.saleValue += (lot.marketValue / lot.units) * take;
+        remaining[lot.term] -= lossPerUnit * take;
+        if (take < lot.units) break;
+      }
+
+      ['short', 'long'].forEach(term => {
+        const bucket = byTerm[term];
+        if (bucket.units > 0) {
+          proposals.push(this.createProposal(entity, asset, 'loss', bucket.units, bucket.saleValue, bucket.gain, term));
+        }
+      });
+    }
+
+    return proposals;
+  },
+
+  /**
+   * Leading run of lots that satisfy a condition
+   */
+  leadingLots(lots, predicate) {
+    const run = [];
+    for (const lot of lots) {
+      if (!predicate(lot)) break;
+      run.push(lot);
+    }
+    return run;
+  },
+
+  /**
+   * Build a sell-and-rebuy proposal
+   */
+  createProposal(entity, asset, type, units, saleValue, gain, term) {
+    return {
+      entityId: entity.id,
+      entityName: entity.name,
+      assetId: asset.id,
+      assetName: asset.name,
+      type, // 'gain' | 'loss'
+      action: 'sell-and-rebuy',
+      term,
+      units: Math.round(units * 1000) / 1000,
+      saleValue: Math.round(saleValue),
+      gain: Math.round(gain)
+    };
+  },
+
+  /**
+   * What a plan asks for, e.g. 'harvest ₹1,00,000 of gains and book
+   * ₹20,000 of losses', naming only the non-zero parts
+   */
+  describeSteps(gainsHarvested, lossesBooked) {
+    return [
+      gainsHarvested > 0 ? `harvest ₹${gainsHarvested.toLocaleString('en-IN')} of gains` : null,
+      lossesBooked > 0 ? `book ₹${lossesBooked.toLocaleString('en-IN')} of losses` : null
+    ].filter(Boolean).join(' and ');
+  },
+
+  /**
+   * Fire the FY-end harvesting reminder once a month in February and March
+   */
+  checkReminder(state, today = new Date()) {
+    if (!this.reminderMonths.includes(today.getMonth())) return null;
+
+    const plan = this.plan(state, today);
+    if (plan.totalTaxSaved <= 0) return null;
+
+    const key = `harvesting-${plan.financialYear}-${today.getMonth() + 1}`;
+    const sent = state.sentReminders || [];
+    if (sent.includes(key)) return null;
+
+    const steps = this.describeSteps(plan.totalGainsHarvested, plan.totalLossesBooked);
+    Store.set('sentReminders', [...sent, key]);
+    Store.addNotification({
+      type: 'info',
+      title: '📊 Tax Harvesting Opportunity',
+      message: `${steps.charAt(0).toUpperCase()}${steps.slice(1)} before ${plan.deadline} to save ₹${plan.totalTaxSaved.toLocaleString('en-IN')}`,
+      action: { type: 'tax-harvesting', financialYear: plan.financialYear }
+    });
+    Notifications.showHarvestingReminder({
+      harvestingOpportunity: plan.totalGainsHarvested,
+      lossesBooked: plan.totalLossesBooked,
+      taxSaved: plan.totalTaxSaved
+    });
+
+    return plan;
+  }
+};
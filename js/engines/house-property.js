@@ -0,0 +1,143 @@
+/**
+ * Pro-Finance House Property Engine
+ * Income from house property for real-estate assets, split among co-owners
+ */
+
+const HouseProperty = {
+  // Section 24(a): flat deduction on the net annual value of let-out property
+  standardDeductionPercent: 30,
+
+  occupancies: {
+    'self-occupied': { name: 'Self-occupied', icon: '🏡' },
+    'let-out': { name: 'Let out', icon: '🔑' }
+  },
+
+  /**
+   * Property details of a real-estate asset, with defaults
+   */
+  getDetails(asset) {
+    return {
+      occupancy: 'self-occupied',
+      municipalTaxes: 0,
+      loanId: null,
+      coOwners: [],
+      ...(asset.property || {})
+    };
+  },
+
+  /**
+   * Every real-estate asset in the household with the entity that holds it
+   */
+  getProperties(entities = Store.get('entities') || []) {
+    return entities.flatMap(entity => (entity.assets || [])
+      .filter(asset => asset.assetType === 'real-estate')
+      .map(asset => ({ asset, ownerId: entity.id })));
+  },
+
+  /**
+   * Ownership shares (%) by entity; the holding entity owns it all
+   * unless co-owners are recorded
+   */
+  getShares(asset, ownerId) {
+    const { coOwners } = this.getDetails(asset);
+    return coOwners.length > 0 ? coOwners : [{ entityId: ownerId, share: 100 }];
+  },
+
+  /**
+   * Home loan linked to a property, from any entity
+   */
+  getLoan(asset, entities = Store.get('entities') || []) {
+    const { loanId } = this.getDetails(asset);
+    if (!loanId) return null;
+
+    for (const entity of entities) {
+      const loan = (entity.liabilities || []).find(l => l.id === loanId);
+      if (loan) return loan;
+    }
+    return null;
+  },
+
+  /**
+   * IDs of home loans linked to a property (handled here, not as
+   * plain self-occupied loans)
+   */
+  getLinkedLoanIds(entities = Store.get('entities') || []) {
+    return this.getProperties(entities)
+      .map(({ asset }) => this.getDetails(asset).loanId)
+      .filter(Boolean);
+  },
+
+  /**
+   * Annual rent from income streams linked to a property
+   */
+  getRent(asset, financialYear, entities = Store.get('entities') || []) {
+    return entities.reduce((sum, entity) => sum + (entity.incomeStreams || [])
+      .filter(income => income.propertyId === asset.id)
+      .reduce((s, income) => s + CashFlow.getAnnualAmount(income, financialYear), 0), 0);
+  },
+
+  /**
+   * Income from a whole property before it is split among co-owners
+   * Self-occupied: nil annual value, so the loan interest is a loss
+   * Let-out: rent less municipal taxes, 30% of that, and the full interest
+   */
+  computeProperty(asset, financialYear, entities = Store.get('entities') || []) {
+    const details = this.getDetails(asset);
+    const loan = this.getLoan(asset, entities);
+    const { interest, principal } = loan ? DebtSnowball.getAnnualSplit(loan) : { interest: 0, principal: 0 };
+
+    const letOut = details.occupancy === 'let-out';
+    const grossAnnualValue = letOut ? this.getRent(asset, financialYear, entities) : 0;
+    const municipalTaxes = letOut ? Math.min(details.municipalTaxes, grossAnnualValue) : 0;
+    const netAnnualValue = grossAnnualValue - municipalTaxes;
+    const standardDeduction = Math.round(netAnnualValue * (this.standardDeductionPercent / 100));
+
+    return {
+      assetId: asset.id,
+      name: asset.name,
+      occupancy: details.occupancy,
+      loanName: loan ? loan.name : null,
+      grossAnnualValue,
+      municipalTaxes,
+      netAnnualValue,
+      standardDeduction,
+      interest,
+      principal,
+      income: netAnnualValue - standardDeduction - interest
+    };
+  },
+
+  /**
+   * An entity's share of every property it co-owns
+   * - letOutIncome: net income from let-out property (negative for a loss)
+   * - selfOccupiedInterest: interest on self-occupied property, before the
+   *   24(b) cap that TaxCalculator applies
+   * - principal: loan principal repaid, for 80C
+   */
+  calculateEntity(entity, financialYear, entities = Store.get('entities') || []) {
+    const properties = this.getProperties(entities)
+      .map(({ asset, ownerId }) => {
+        const holding = this.getShares(asset, ownerId).find(s => s.entityId === entity.id);
+        if (!holding) return null;
+
+        const whole = this.computeProperty(asset, financialYear, entities);
+        const fraction = holding.share / 100;
+        const scaled = {};
+        ['grossAnnualValue', 'municipalTaxes', 'netAnnualValue', 'standardDeduction', 'interest', 'principal', 'income']
+          .forEach(key => { scaled[key] = Math.round(whole[key] * fraction); });
+
+        return { ...whole, ...scaled, share: holding.share };
+      })
+      .filter(Boolean);
+
+    const letOut = properties.filter(p => p.occupancy === 'let-out');
+    const selfOccupied = properties.filter(p => p.occupancy !== 'let-out');
+
+    return {
+      properties,
+      letOutIncome: letOut.reduce((sum, p) => sum + p.income, 0),
+      selfOccupiedInterest: selfOccupied.reduce((sum, p) => sum + p.interest, 0),
+      principal: properties.reduce((sum, p) => sum + p.principal, 0)
+    };
+  }
+};
@@ -0,0 +1,206 @@
+/**
+ * Pro-Finance Household Tax Engine
+ * Per-entity income tax computation rolled up to the household
+ */
+
+const HouseholdTax = {
+  /**
+   * Build TaxCalculator params for a single entity
+   * Each entity files separately: own regime, own deductions, own slabs
+   */
+  buildTaxParams(entity, configuration = {}, entities = Store.get('entities') || []) {
+    const financialYear = configuration.financialYear || TaxCalculator.defaultFinancialYear;
+    const deductions = TaxDeductions.derive(entity, financialYear, entities);
+    const houseProperty = HouseProperty.calculateEntity(entity, financialYear, entities);
+    const gains = this.getRealizedGains(entity, financialYear);
+
+    // Salaries with a recorded structure are taxed from their components;
+    // rent from a linked property is taxed under house property instead
+    const streams = (entity.incomeStreams || [])
+      .filter(income => income.taxable !== false && !income.propertyId);
+    const salaryIncome = streams
+      .filter(income => income.type === 'salary')
+      .reduce((sum, income) => sum + Salary.getAnnualTaxable(income, financialYear), 0);
+    // Business and freelance receipts count at their presumptive or book profit
+    const business = BusinessIncome.getEntityIncome(entity, financialYear);
+    const otherIncome = streams
+      .filter(income => income.type !== 'salary' && !BusinessIncome.isBusiness(income))
+      .reduce((sum, income) => sum + CashFlow.getAnnualAmount(income, financialYear), 0);
+    // A business loss is set off against other income, never salary (71(2A))
+    const businessLossSetOff = Math.min(business.loss, otherIncome);
+    const contributions = Salary.getContributions(entity);
+
+    return {
+      grossIncome: salaryIncome + business.taxableIncome + otherIncome - businessLossSetOff,
+      salaryIncome,
+      regime: entity.taxRegime || configuration.taxRegime || 'new',
+      financialYear,
+      // Derived from assets, salary, insurance and home loans
+      deductions80C: deductions.section80C,
+      deductions80D: deductions.section80D,
+      deductions80CCD: deductions.section80CCD1B,
+      employerNPS: contributions.employerNPS * 12,
+      basicAndDA: contributions.basicAndDA * 12,
+      homeLoanInterest: deductions.homeLoanInterest,
+      housePropertyIncome: houseProperty.letOutIncome,
+      hra: (entity.taxDeductions || {}).hra || 0,
+      // Salary structure overrides the manual HRA figure when recorded
+      hraDetails: this.getHRADetails(entity),
+      // Realized gains from asset sales feed the tax automatically
+      ltcg: gains.ltcgEquity,
+      stcg: gains.stcgEquity,
+      ltcgOther: gains.ltcgOther,
+      stcgOther: gains.stcgOther,
+      broughtForwardLosses: this.getBroughtForwardLosses(entity, financialYear),
+      taxPaid: TaxCredits.summarize(entity, financialYear).total,
+      // Left after set-off; carries forward only on a return filed on time,
+      // which is not tracked here
+      unabsorbedBusinessLoss: business.loss - businessLossSetOff
+    };
+  },
+
+  /**
+   * Annual HRA inputs from the entity's salary structures
+   * Returns null when no salary stream records a structure
+   */
+  getHRADetails(entity) {
+    const salaries = (entity.incomeStreams || [])
+      .filter(income => income.taxable !== false && income.salaryStructure);
+    if (salaries.length === 0) return null;
+
+    return salaries.reduce((details, income) => {
+      const structure = income.salaryStructure;
+      details.basic += (structure.basic || 0) * 12;
+      details.da += (structure.da || 0) * 12;
+      details.hraReceived += (structure.hra || 0) * 12;
+      details.rentPaid += (structure.rentPaid || 0) * 12;
+      details.metro = details.metro || !!structure.metro;
+      return details;
+    }, { basic: 0, da: 0, hraReceived: 0, rentPaid: 0, metro: false });
+  },
+
+  /**
+   * Realized gains for a financial year from tracked sales, less the
+   * losses recorded for that year in the entity's capital loss ledger
+   * Ledger losses land in the non-equity buckets; a negative bucket is a
+   * current-year loss for TaxCalculator.applyLossSetOff
+   */
+  getRealizedGains(entity, financialYear) {
+    const gains = CapitalGains.summarizeRealizedGains(entity, financialYear);
+    const ledgerLoss = (term) => (entity.capitalLossLedger || [])
+      .filter(loss => loss.financialYear === financialYear && loss.term === term)
+      .reduce((sum, loss) => sum + loss.amount, 0);
+
+    return {
+      ...gains,
+      ltcgOther: gains.ltcgOther - ledgerLoss('long'),
+      stcgOther: gains.stcgOther - ledgerLoss('short')
+    };
+  },
+
+  /**
+   * Capital losses carried into a financial year
+   * Replays every earlier year in order: losses recorded in the entity's
+   * ledger (e.g. from past returns) plus gains and losses from tracked sales
+   */
+  getBroughtForwardLosses(entity, financialYear) {
+    const ledger = entity.capitalLossLedger || [];
+    const years = new Set(ledger.map(loss => loss.financialYear));
+    (entity.assets || []).forEach(asset => {
+      (asset.sales || []).forEach(sale => years.add(sale.financialYear));
+    });
+
+    let carried = [];
+    [...years]
+      .filter(fy => parseInt(fy, 10) < parseInt(financialYear, 10))
+      .sort()
+      .forEach(fy => {
+        const gains = this.getRealizedGains(entity, fy);
+
+        carried = TaxCalculator.applyLossSetOff({
+          ltcg: gains.ltcgEquity,
+          stcg: gains.stcgEquity,
+          ltcgOther: gains.ltcgOther,
+          stcgOther: gains.stcgOther,
+          broughtForwardLosses: carried,
+          financialYear: fy
+        }).carryForward;
+      });
+
+    return carried;
+  },
+
+  /**
+   * Calculate annual tax for a single entity
+   */
+  calculateEntityTax(entity, configuration = {}, entities = Store.get('entities') || []) {
+    const params = this.buildTaxParams(entity, configuration, entities);
+
+    const hasGains = params.ltcg !== 0 || params.stcg !== 0 || params.ltcgOther !== 0 || params.stcgOther !== 0;
+    const result = params.grossIncome > 0 || hasGains || params.housePropertyIncome > 0
+      ? TaxCalculator.calculateTax(params)
+      : {
+        regime: params.regime,
+        totalTax: 0,
+        monthlyTax: 0,
+        effectiveRate: 0,
+        taxPaid: params.taxPaid,
+        netPayable: -params.taxPaid,
+        refund: params.taxPaid
+      };
+
+    return {
+      entityId: entity.id,
+      name: entity.name,
+      params,
+      ...result
+    };
+  },
+
+  /**
+   * Old vs new regime for every entity, with household totals
+   */
+  compareRegimes(state) {
+    const configuration = state.configuration || {};
+    const byEntity = (state.entities || []).map(entity => ({
+      entityId: entity.id,
+      name: entity.name,
+      ...TaxCalculator.compareRegimes(this.buildTaxParams(entity, configuration, state.entities))
+    }));
+
+    const total = (regime) => byEntity.reduce((sum, e) => sum + e[regime].totalTax, 0);
+    // Each member picks their own regime
+    const optimal = byEntity.reduce((sum, e) => sum + e[e.recommendedRegime].totalTax, 0);
+
+    return {
+      byEntity,
+      oldTotal: total('old'),
+      newTotal: total('new'),
+      optimalTotal: optimal
+    };
+  },
+
+  /**
+   * Calculate tax for every entity and roll up to household totals
+   */
+  calculate(state) {
+    const configuration = state.configuration || {};
+    const byEntity = (state.entities || []).map(entity =>
+      this.calculateEntityTax(entity, configuration, state.entities)
+    );
+
+    const totalTax = byEntity.reduce((sum, e) => sum + e.totalTax, 0);
+    const taxableIncome = byEntity.reduce((sum, e) => sum + e.params.grossIncome, 0);
+
+    return {
+      byEntity,
+      taxableIncome,
+      totalTax,
+      taxPaid: byEntity.reduce((sum, e) => sum + e.taxPaid, 0),
+      netPayable: byEntity.reduce((sum, e) => sum + Math.max(0, e.netPayable), 0),
+      refund: byEntity.reduce((sum, e) => sum + e.refund, 0),
+      monthlyTax: Math.round(totalTax / 12),
+      effectiveRate: taxableIncome > 0 ? Math.round((totalTax / taxableIncome) * 10000) / 100 : 0
+    };
+  }
+};
@@ -0,0 +1,228 @@
+/**
+ * Pro-Finance Monte Carlo Runner
+ * Promise API over the Monte Carlo worker, with cancellation and progress
+ */
+
+const MonteCarloRunner = {
+  workerPath: 'js/workers/monte-carlo-worker.js',
+
+  // Runs with at least this many iterations show a progress toast
+  longRunIterations: 5000,
+
+  // One worker per channel, so cancelling a channel leaves others running
+  // Each worker gets one job at a time; the rest wait in the channel's queue
+  channels: {},
+  nextId: 1,
+
+  /**
+   * Get (or start) the worker for a channel
+   * Returns null where workers are unavailable (e.g. pages opened from disk)
+   */
+  getChannel(name) {
+    if (!this.channels[name]) {
+      let worker = null;
+      try {
+        worker = typeof Worker !== 'undefined' ? new Worker(this.workerPath) : null;
+      } catch (error) {
+        console.warn('Monte Carlo worker unavailable, running on the main thread:', error.message);
+      }
+
+      const channel = { worker, pending: new Map(), queue: [], running: null };
+      if (worker) {
+        worker.onmessage = (event) => this.handleMessage(channel, event.data);
+        // A worker that fails (e.g. its scripts don't load) is dropped, so
+        // the next job starts a fresh one instead of waiting on it
+        worker.onerror = (event) => {
+          worker.terminate();
+          if (this.channels[name] === channel) delete this.channels[name];
+          channel.pending.forEach(job => job.reject(new Error(event.message || 'Simulation failed')));
+          channel.pending.clear();
+        };
+      }
+      this.channels[name] = channel;
+    }
+    return this.channels[name];
+  },
+
+  /**
+   * Route a worker message to its pending job
+   */
+  handleMessage(channel, message) {
+    if (message.type !== 'progress' && channel.running === message.id) {
+      channel.running = null;
+      this.postNext(channel);
+    }
+
+    const job = channel.pending.get(message.id);
+    if (!job) return; // Cancelled or superseded
+
+    if (message.type === 'progress') {
+      job.onProgress?.(message.progress);
+      return;
+    }
+
+    channel.pending.delete(message.id);
+    if (message.type === 'result') {
+      job.resolve(message.result);
+    } else {
+      job.reject(new Error(message.message));
+    }
+  },
+
+  /**
+   * Run a MonteCarlo method and resolve with its result
+   * Options:
+   * - channel: jobs on a channel run in order on their own worker
+   * - cancelPrevious: drop unfinished jobs on the channel first
+   * - key: supersede unfinished jobs on the channel with the same key (one
+   *   goal, a slider); those waiting never run, and a running one finishes
+   *   on the worker but its result is dropped
+   * - onProgress(fraction): progress of long runs
+   * Cancelled and superseded jobs reject with an error whose `cancelled`
+   * flag is set
+   */
+  run(method, args = [], options = {}) {
+    const { channel: name = 'default', cancelPrevious = false, key = null } = options;
+    if (cancelPrevious) this.cancel(name);
+    if (key !== null) this.supersede(name, key);
+
+    const channel = this.getChannel(name);
+    const id = this.nextId++;
+    const onProgress = this.withProgressToast(args[0], options.onProgress);
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id,
+        method,
+        args,
+        key,
+        resolve: (result) => { onProgress.done(); resolve(result); },
+        reject: (error) => { onProgress.done(); reject(error); },
+        onProgress
+      };
+      channel.pending.set(id, job);
+
+      if (channel.worker) {
+        channel.queue.push(job);
+        this.postNext(channel);
+        return;
+      }
+
+      // No worker: run after the current task so callers stay asynchronous
+      setTimeout(() => {
+        if (!channel.pending.has(id)) return;
+        channel.pending.delete(id);
+        try {
+          const [first, ...rest] = args;
+          const params = first && typeof first === 'object' && !Array.isArray(first) ? { ...first, onProgress } : first;
+          job.resolve(MonteCarlo[method](params, ...rest));
+        } catch (error) {
+          job.reject(error);
+        }
+      }, 0);
+    });
+  },
+
+  /**
+   * Hand a channel's next waiting job to its worker once it is free
+   */
+  postNext(channel) {
+    if (channel.running !== null) return;
+
+    const job = channel.queue.shift();
+    if (!job) return;
+    channel.running = job.id;
+    channel.worker.postMessage({ id: job.id, method: job.method, args: job.args });
+  },
+
+  /**
+   * Error for a job that was cancelled or superseded
+   */
+  cancelledError() {
+    const error = new Error('Simulation cancelled');
+    error.cancelled = true;
+    return error;
+  },
+
+  /**
+   * Drop a channel's unfinished jobs with a key, leaving its other jobs
+   */
+  supersede(name, key) {
+    const channel = this.channels[name];
+    if (!channel) return;
+
+    channel.queue = channel.queue.filter(job => job.key !== key);
+    channel.pending.forEach((job, id) => {
+      if (job.key !== key) return;
+      channel.pending.delete(id);
+      job.reject(this.cancelledError());
+    });
+  },
+
+  /**
+   * Cancel every unfinished job on a channel
+   * The worker is stopped mid-run and restarted on the next job
+   */
+  cancel(name) {
+    const channel = this.channels[name];
+    if (!channel || channel.pending.size === 0) return;
+
+    channel.worker?.terminate();
+    delete this.channels[name];
+
+    channel.pending.forEach(job => job.reject(this.cancelledError()));
+    channel.pending.clear();
+  },
+
+  /**
+   * Progress callback that also drives a toast for long runs
+   */
+  withProgressToast(params, onProgress) {
+    const iterations = params?.iterations || 0;
+    let toast = null;
+
+    const callback = (progress) => {
+      onProgress?.(progress);
+      if (iterations < this.longRunIterations || typeof Notifications === 'undefined') return;
+      toast = toast || Notifications.showProgress('Running simulation', `${iterations.toLocaleString('en-IN')} scenarios`);
+      toast.update(progress);
+    };
+    callback.done = () => toast?.done();
+    return callback;
+  },
+
+  /**
+   * Simulate a goal (see MonteCarlo.simulateGoal)
+   */
+  simulateGoal(params, options = {}) {
+    return this.run('simulateGoal', [params], options);
+  },
+
+  /**
+   * Whole-plan simulation (see MonteCarlo.simulatePlan)
+   */
+  simulatePlan(params, options = {}) {
+    return this.run('simulatePlan', [params], options);
+  },
+
+  /**
+   * Retirement withdrawals (see MonteCarlo.simulateDecumulation)
+   */
+  simulateDecumulation(params, options = {}) {
+    return this.run('simulateDecumulation', [params], options);
+  },
+
+  /**
+   * Trade-off simulation (see MonteCarlo.tradeoffSimulation)
+   */
+  tradeoffSimulation(params, options = {}) {
+    return this.run('tradeoffSimulation', [params], options);
+  },
+
+  /**
+   * Fan chart projection (see MonteCarlo.generateProjectionData)
+   */
+  generateProjectionData(params, options = {}) {
+    return this.run('generateProjectionData', [params], options);
+  }
+};
@@ -4,48 +4,495 @@
  */
 
 const MonteCarlo = {
+  // Seed used when the configuration does not set one
+  defaultSeed: 20250401,
+
+  // Correlation of monthly returns between asset categories (Models.assetTypes),
+  // rough long-run figures for Indian markets. The diagonal is the correlation
+  // between two different assets of the same category.
+  defaultCorrelations: {
+    equity: { equity: 0.85, debt: -0.1, physical: 0.1, retirement: 0.5, alternative: 0.3 },
+    debt: { debt: 0.6, physical: 0.1, retirement: 0.5, alternative: 0.1 },
+    physical: { physical: 0.3, retirement: 0.1, alternative: 0.1 },
+    retirement: { retirement: 0.6, alternative: 0.2 },
+    alternative: { alternative: 0.3 }
+  },
+
+  // Return model per asset category
+  // - normal: arithmetic monthly returns (can fall below -100%)
+  // - lognormal: compounding returns with the same mean and volatility
+  // - student-t: lognormal with fat-tailed shocks; lower df, fatter tails
+  // - regime-switching: lognormal bull and bear markets with monthly odds
+  //   of switching; the bull return is set so the long-run mean still
+  //   matches the asset's expected return
+  // - yearly-replay: blocks of past calendar years (MarketHistory) replayed
+  //   in random order, each year's return spread evenly over its months;
+  //   the asset's expected return and volatility are ignored. With only the
+  //   bundled approximate yearly figures this is a what-if on past years,
+  //   not a bootstrap of monthly returns: there is no volatility within a year
+  returnModelTypes: ['normal', 'lognormal', 'student-t', 'regime-switching', 'yearly-replay'],
+  // Saved names of renamed models
+  renamedReturnModels: { bootstrap: 'yearly-replay' },
+  defaultReturnModels: {
+    equity: { model: 'student-t', df: 5 },
+    debt: { model: 'lognormal' },
+    physical: { model: 'lognormal' },
+    retirement: { model: 'lognormal' },
+    alternative: { model: 'student-t', df: 4 }
+  },
+  defaultRegimes: {
+    bullToBear: 0.02, // Monthly odds: a bear market every four years or so
+    bearToBull: 0.08, // Bear markets last about a year
+    bear: { return: -20, volatility: 30 }
+  },
+
+  // Inflation as a mean-reverting process (annual %): each month it moves
+  // reversion/12 of the way back to the mean, plus a shock correlated with
+  // the return shock (negative: inflation surprises tend to hurt equity)
+  defaultInflationModel: {
+    reversion: 0.5,
+    volatility: 1.5, // Percentage points a year
+    correlation: -0.2
+  },
+
+  // Past series (weights) replayed for each category in yearly-replay mode
+  defaultReplayMix: {
+    equity: { equity: 1 },
+    debt: { gsec: 1 },
+    physical: { gold: 1 },
+    retirement: { equity: 0.5, gsec: 0.5 },
+    alternative: { equity: 1 }
+  },
+
+  /**
+   * Seed from the configuration
+   */
+  getSeed(configuration = Store.get('configuration') || {}) {
+    return configuration.monteCarloSeed ?? this.defaultSeed;
+  },
+
+  /**
+   * A fresh seed for runs that are not given one
+   */
+  newSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  },
+
+  /**
+   * Seeded uniform generator on [0, 1) (mulberry32)
+   * The same seed always yields the same sequence
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * Standard normal draw (Box-Muller transform)
+   */
+  normal(random) {
+    let u1 = random();
+    while (u1 === 0) u1 = random();
+    const u2 = random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  },
+
+  /**
+   * Return models by category with configured overrides
+   * configuration.returnModels uses the same shape, e.g. { equity: { model: 'regime-switching' } }
+   */
+  getReturnModels(configuration = Store.get('configuration') || {}) {
+    const models = {};
+    const configured = configuration.returnModels || {};
+    new Set([...Object.keys(this.defaultReturnModels), ...Object.keys(configured)]).forEach(category => {
+      const saved = configured[category] || this.defaultReturnModels[category];
+      const model = { ...saved, model: this.renamedReturnModels[saved.model] || saved.model };
+      if (model.model === 'regime-switching') {
+        models[category] = { ...this.defaultRegimes, ...model };
+      } else if (model.model === 'yearly-replay') {
+        models[category] = { mix: this.defaultReplayMix[category] || { equity: 1 }, ...model };
+      } else {
+        models[category] = { ...model };
+      }
+    });
+    return models;
+  },
+
+  /**
+   * Return model for one category; goals are simulated as equity
+   */
+  getReturnModel(category = 'equity', configuration = Store.get('configuration') || {}) {
+    return this.getReturnModels(configuration)[category] || { model: 'lognormal' };
+  },
+
+  /**
+   * Gamma(shape, 1) draw (Marsaglia-Tsang)
+   */
+  gamma(shape, random) {
+    if (shape < 1) {
+      return this.gamma(shape + 1, random) * Math.pow(random() || Number.MIN_VALUE, 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x, v;
+      do {
+        x = this.normal(random);
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = random();
+      if (Math.log(u || Number.MIN_VALUE) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+    }
+  },
+
+  /**
+   * Factor that turns a standard normal into a unit-variance Student-t
+   * draw. Normals sharing one factor are jointly t-distributed, so
+   * correlated assets crash together
+   */
+  studentTScale(df, random) {
+    const nu = Math.max(2.1, df);
+    const chiSquare = 2 * this.gamma(nu / 2, random);
+    return Math.sqrt((nu - 2) / chiSquare);
+  },
+
+  /**
+   * Scale a standard normal shock for the return model
+   * scales caches one Student-t factor per df for the month
+   */
+  drawShock(returnModel, shock, random, scales = {}) {
+    if (returnModel?.model !== 'student-t') return shock;
+    const df = returnModel.df || 5;
+    if (scales[df] === undefined) scales[df] = this.studentTScale(df, random);
+    return shock * scales[df];
+  },
+
+  /**
+   * Starting market regime for a path: bear with its long-run odds
+   */
+  startRegime(returnModel, random) {
+    if (returnModel?.model !== 'regime-switching') return { bear: false };
+    const { bullToBear, bearToBull } = { ...this.defaultRegimes, ...returnModel };
+    return { bear: random() < bullToBear / (bullToBear + bearToBull) };
+  },
+
+  /**
+   * Move a path's market regime on by one month
+   */
+  advanceRegime(regime, returnModel, random) {
+    if (returnModel?.model !== 'regime-switching') return;
+    const { bullToBear, bearToBull } = { ...this.defaultRegimes, ...returnModel };
+    if (random() < (regime.bear ? bearToBull : bullToBear)) regime.bear = !regime.bear;
+  },
+
+  /**
+   * Annual return and volatility in force for the regime
+   */
+  regimeParams(annualReturn, annualVolatility, returnModel, bear) {
+    const { bullToBear, bearToBull, bear: bearMarket } = { ...this.defaultRegimes, ...returnModel };
+    const bearReturn = bearMarket.return / 100;
+    if (bear) return { annualReturn: bearReturn, annualVolatility: bearMarket.volatility / 100 };
+
+    const bearShare = bullToBear / (bullToBear + bearToBull);
+    return { annualReturn: (annualReturn - bearShare * bearReturn) / (1 - bearShare), annualVolatility };
+  },
+
+  /**
+   * Bundled market history; the worker and page both load it
+   */
+  getHistory() {
+    if (typeof MarketHistory === 'undefined') throw new Error('Market history is not loaded');
+    return MarketHistory;
+  },
+
+  /**
+   * Position in the past series for a yearly-replay path, or null when
+   * the model does not replay history
+   * Blocks run blockMonths (default 36), rounded to whole periods of the
+   * series: any number of months for monthly data, whole years for annual
+   */
+  startHistory(returnModel) {
+    if (returnModel?.model !== 'yearly-replay') return null;
+    const history = this.getHistory();
+    return {
+      index: 0,
+      blockLeft: 0,
+      monthsLeft: 0,
+      blockLength: Math.max(1, Math.round((returnModel.blockMonths || 36) / history.getPeriodMonths()))
+    };
+  },
+
+  /**
+   * Move a yearly-replay path on by one month; a used-up block jumps to a
+   * random period, and blocks wrap from the last period to the first
+   */
+  advanceHistory(position, random) {
+    if (!position) return;
+    const history = this.getHistory();
+    if (position.monthsLeft > 0) {
+      position.monthsLeft--;
+      return;
+    }
+
+    const length = history.getLength();
+    if (position.blockLeft > 0) {
+      position.index = (position.index + 1) % length;
+      position.blockLeft--;
+    } else {
+      position.index = Math.floor(random() * length);
+      position.blockLeft = position.blockLength - 1;
+    }
+    position.monthsLeft = history.getPeriodMonths() - 1;
+  },
+
+  /**
+   * Monthly return at a yearly-replay position for a mix of series
+   * An annual figure is spread evenly over its twelve months
+   */
+  historicalReturn(position, mix = { equity: 1 }) {
+    const history = this.getHistory();
+    const periodReturn = Object.entries(mix).reduce((sum, [key, weight]) =>
+      sum + weight * (history.series[key]?.[position.index] || 0) / 100, 0);
+    return Math.pow(1 + periodReturn, 1 / history.getPeriodMonths()) - 1;
+  },
+
+  /**
+   * Inflation process from the configuration, centred on its inflation
+   * rate; null when stochastic inflation is switched off
+   */
+  getInflationModel(configuration = Store.get('configuration') || {}) {
+    if (configuration.stochasticInflation === false) return null;
+    return {
+      mean: configuration.inflationRate ?? 6,
+      ...this.defaultInflationModel,
+      ...(configuration.inflationModel || {})
+    };
+  },
+
+  /**
+   * Per-path state: market regime, yearly-replay position and price index
+   * A shock (see StressTest.getShock) forces the first months of every
+   * path: { returns: [monthly %], inflation: { rate (annual %), months } }
+   */
+  startPath(returnModel, random, inflationModel = null, shock = null) {
+    return {
+      regime: this.startRegime(returnModel, random),
+      history: this.startHistory(returnModel),
+      inflation: inflationModel ? { rate: inflationModel.start ?? inflationModel.mean, index: 1 } : null,
+      shock,
+      month: 0
+    };
+  },
+
+  /**
+   * Move a single-asset path on by one month and return its return
+   * Inflation follows the return shock; yearly-replay paths take the CPI
+   * of the past period they replay
+   */
+  stepPath(path, annualReturn, annualVolatility, returnModel, random, inflationModel = null) {
+    this.advanceRegime(path.regime, returnModel, random);
+    this.advanceHistory(path.history, random);
+
+    let monthlyReturn;
+    let normal = 0;
+    if (path.history) {
+      monthlyReturn = this.historicalReturn(path.history, returnModel.mix);
+    } else {
+      normal = this.normal(random);
+      const shock = this.drawShock(returnModel, normal, random);
+      monthlyReturn = this.monthlyReturnFromShock(annualReturn, annualVolatility, shock, returnModel, path.regime.bear);
+    }
+
+    // Shocked months still make their draws, so the rest of the path
+    // matches the unshocked one
+    const shockedReturn = path.shock?.returns?.[path.month];
+    if (shockedReturn !== undefined) monthlyReturn = shockedReturn / 100;
+
+    if (path.inflation) this.advanceInflation(path, inflationModel, normal, random);
+    path.month++;
+    return monthlyReturn;
+  },
+
+  /**
+   * One month of the inflation process
+   */
+  advanceInflation(path, inflationModel, returnShock, random) {
+    const inflation = path.inflation;
+    let growth;
+
+    if (path.history) {
+      const history = this.getHistory();
+      const cpi = history.series.cpi?.[path.history.index] ?? inflationModel.mean;
+      inflation.rate = history.frequency === 'monthly' ? cpi * 12 : cpi;
+      growth = Math.pow(1 + cpi / 100, 1 / history.getPeriodMonths());
+    } else {
+      const { mean, reversion, volatility, correlation } = inflationModel;
+      const shock = correlation * returnShock + Math.sqrt(1 - correlation * correlation) * this.normal(random);
+      inflation.rate += reversion * (mean - inflation.rate) / 12 + shock * volatility / Math.sqrt(12);
+      // Compounded like Inflation.futureValue, so a flat path matches it
+      growth = Math.pow(1 + inflation.rate / 100, 1 / 12);
+    }
+
+    // A shock holds inflation at its rate; the process reverts from there
+    const forced = path.shock?.inflation;
+    if (forced && path.month < forced.months) {
+      inflation.rate = forced.rate;
+      growth = Math.pow(1 + forced.rate / 100, 1 / 12);
+    }
+
+    inflation.index *= growth;
+  },
+
+  /**
+   * Price level on a path after some months, for an amount whose own
+   * inflation runs spread % a year above general inflation
+   */
+  inflationFactor(path, spread, month) {
+    return path.inflation.index * Math.pow(1 + spread / 100, month / 12);
+  },
+
+  /**
+   * Category correlations with configured overrides
+   * configuration.assetCorrelations uses the same shape, e.g. { equity: { physical: -0.1 } }
+   */
+  getCorrelations(configuration = Store.get('configuration') || {}) {
+    const correlations = {};
+    Object.entries(this.defaultCorrelations).forEach(([category, row]) => {
+      correlations[category] = { ...row, ...(configuration.assetCorrelations?.[category] || {}) };
+    });
+    Object.entries(configuration.assetCorrelations || {}).forEach(([category, row]) => {
+      correlations[category] = correlations[category] || { ...row };
+    });
+    return correlations;
+  },
+
+  /**
+   * Correlation between two asset categories, in either order
+   * Unknown pairs are independent
+   */
+  getCorrelation(a, b, correlations = this.defaultCorrelations) {
+    return correlations[a]?.[b] ?? correlations[b]?.[a] ?? (a === b ? 1 : 0);
+  },
+
+  /**
+   * Lower-triangular L with L·Lᵀ = matrix (Cholesky decomposition)
+   * Returns null when the matrix is not positive definite
+   */
+  cholesky(matrix) {
+    const n = matrix.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = matrix[i][j];
+        for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+
+        if (i === j) {
+          if (sum <= 1e-10) return null;
+          L[i][i] = Math.sqrt(sum);
+        } else {
+          L[i][j] = sum / L[j][j];
+        }
+      }
+    }
+    return L;
+  },
+
+  /**
+   * Cholesky factor of a correlation matrix
+   * Inconsistent hand-edited correlations are shrunk toward independence
+   * until the matrix is valid
+   */
+  correlationFactor(matrix) {
+    let shrink = 1;
+    while (shrink > 0.01) {
+      const L = this.cholesky(matrix.map((row, i) => row.map((value, j) => i === j ? 1 : value * shrink)));
+      if (L) return L;
+      shrink *= 0.9;
+    }
+    return matrix.map((row, i) => row.map((value, j) => i === j ? 1 : 0));
+  },
+
+  /**
+   * Correlated standard normal draws: L times independent normals
+   */
+  correlatedNormals(L, random) {
+    const independent = L.map(() => this.normal(random));
+    return L.map(row => row.reduce((sum, weight, k) => sum + weight * independent[k], 0));
+  },
+
   /**
    * Simulate goal achievability with Monte Carlo method
+   * Returns the seed and iteration count so the run can be replayed
+   * onProgress(fraction) is called about every 5% of iterations
    */
   simulateGoal(params) {
     const {
       currentAmount = 0,
       monthlyContribution = 0,
+      stepUp = 0, // % the SIP rises each year
       expectedReturn = 12,
       volatility = 15,
       years = 5,
       targetAmount = 0,
-      iterations = 1000
+      iterations = 1000,
+      seed = this.newSeed(),
+      returnModel = this.defaultReturnModels.equity,
+      // With an inflation model and the target in today's money, each path
+      // inflates the target along its own inflation; inflationSpread is the
+      // goal category's premium over general inflation
+      inflationModel = null,
+      targetToday = null,
+      inflationSpread = 0,
+      shock = null,
+      onProgress = null
     } = params;
 
+    const random = this.createRandom(seed);
+    const progressStep = Math.max(1, Math.floor(iterations / 20));
     const results = [];
+    const targets = [];
     const annualReturn = expectedReturn / 100;
     const annualVolatility = volatility / 100;
     const months = Math.round(years * 12);
+    const inflating = inflationModel && targetToday !== null;
+    let successCount = 0;
 
     // Run simulations
     for (let i = 0; i < iterations; i++) {
       let portfolio = currentAmount;
+      const path = this.startPath(returnModel, random, inflating ? inflationModel : null, shock);
       
       for (let month = 0; month < months; month++) {
-        // Generate monthly return with volatility
-        const monthlyReturn = this.generateMonthlyReturn(annualReturn, annualVolatility);
+        // Generate monthly return with volatility, or replay history
+        const monthlyReturn = this.stepPath(path, annualReturn, annualVolatility, returnModel, random, inflationModel);
         
         // Apply return to existing portfolio
         portfolio = portfolio * (1 + monthlyReturn);
         
-        // Add monthly contribution
-        portfolio += monthlyContribution;
+        // Add monthly contribution, stepped up each year
+        portfolio += this.stepUpContribution(monthlyContribution, stepUp, month);
       }
       
+      const target = inflating ? targetToday * this.inflationFactor(path, inflationSpread, months) : targetAmount;
+      if (portfolio >= target) successCount++;
       results.push(portfolio);
+      targets.push(target);
+      if (onProgress && (i + 1) % progressStep === 0) onProgress((i + 1) / iterations);
     }
 
     // Sort results for percentile calculation
     results.sort((a, b) => a - b);
+    targets.sort((a, b) => a - b);
 
     // Calculate statistics
-    const successCount = results.filter(r => r >= targetAmount).length;
     const probability = successCount / iterations;
 
     return {
@@ -59,58 +506,381 @@ const MonteCarlo = {
       },
       mean: Math.round(results.reduce((a, b) => a + b, 0) / iterations),
       min: Math.round(results[0]),
-      max: Math.round(results[iterations - 1])
+      max: Math.round(results[iterations - 1]),
+      // Spread of the inflated target across paths
+      targetRange: inflating ? {
+        p10: Math.round(targets[Math.floor(iterations * 0.1)]),
+        p50: Math.round(targets[Math.floor(iterations * 0.5)]),
+        p90: Math.round(targets[Math.floor(iterations * 0.9)])
+      } : null,
+      seed,
+      iterations
     };
   },
 
   /**
-   * Generate monthly return using normal distribution
+   * Simulate the whole plan: one shared portfolio, grown month by month,
+   * that pays each goal when it falls due. Goals due in the same month are
+   * paid in priority order (1 first). A goal the portfolio cannot cover is
+   * missed and its money stays invested for the goals after it.
+   * goals: [{ id, name, month (from now), amount, priority }], plus
+   * amountToday and inflationSpread to inflate a goal along each path
+   * when an inflation model is given
+   * Returns per-goal and all-goals probabilities and the typical order in
+   * which goals fail
    */
-  generateMonthlyReturn(annualReturn, annualVolatility) {
-    // Convert annual to monthly
-    const monthlyReturn = annualReturn / 12;
-    const monthlyVolatility = annualVolatility / Math.sqrt(12);
-    
-    // Use Box-Muller transform for normal distribution
-    // Or use jStat if available
-    if (typeof jStat !== 'undefined') {
-      return jStat.normal.sample(monthlyReturn, monthlyVolatility);
+  simulatePlan(params) {
+    const {
+      currentAmount = 0,
+      monthlyContribution = 0,
+      stepUp = 0,
+      expectedReturn = 12,
+      volatility = 15,
+      goals = [],
+      iterations = 1000,
+      seed = this.newSeed(),
+      returnModel = this.defaultReturnModels.equity,
+      inflationModel = null,
+      shock = null,
+      onProgress = null
+    } = params;
+
+    const random = this.createRandom(seed);
+    const progressStep = Math.max(1, Math.floor(iterations / 20));
+    const annualReturn = expectedReturn / 100;
+    const annualVolatility = volatility / 100;
+
+    const schedule = goals
+      .map(goal => ({ ...goal, month: Math.max(0, Math.round(goal.month)) }))
+      .sort((a, b) => a.month - b.month || (a.priority || 2) - (b.priority || 2));
+    const months = schedule.length > 0 ? schedule[schedule.length - 1].month + 1 : 0;
+
+    const successes = Object.fromEntries(schedule.map(goal => [goal.id, 0]));
+    const shortfalls = Object.fromEntries(schedule.map(goal => [goal.id, []]));
+    const firstFailures = Object.fromEntries(schedule.map(goal => [goal.id, 0]));
+    const failureOrders = new Map();
+    const endValues = [];
+    let allSucceeded = 0;
+
+    for (let i = 0; i < iterations; i++) {
+      let portfolio = currentAmount;
+      let next = 0;
+      const failed = [];
+      const path = this.startPath(returnModel, random, inflationModel, shock);
+
+      for (let month = 0; month < months; month++) {
+        const monthlyReturn = this.stepPath(path, annualReturn, annualVolatility, returnModel, random, inflationModel);
+        portfolio = portfolio * (1 + monthlyReturn) + this.stepUpContribution(monthlyContribution, stepUp, month);
+
+        // Pay out goals falling due this month
+        for (; next < schedule.length && schedule[next].month === month; next++) {
+          const goal = schedule[next];
+          const amount = path.inflation && goal.amountToday !== undefined
+            ? goal.amountToday * this.inflationFactor(path, goal.inflationSpread || 0, month + 1)
+            : goal.amount;
+          if (portfolio >= amount) {
+            portfolio -= amount;
+            successes[goal.id]++;
+          } else {
+            shortfalls[goal.id].push(amount - Math.max(0, portfolio));
+            failed.push(goal.id);
+          }
+        }
+      }
+
+      if (failed.length === 0) {
+        allSucceeded++;
+      } else {
+        firstFailures[failed[0]]++;
+        const key = failed.join('|');
+        failureOrders.set(key, (failureOrders.get(key) || 0) + 1);
+      }
+      endValues.push(portfolio);
+      if (onProgress && (i + 1) % progressStep === 0) onProgress((i + 1) / iterations);
     }
-    
-    // Fallback: Box-Muller transform
-    const u1 = Math.random();
-    const u2 = Math.random();
-    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    
-    return monthlyReturn + z * monthlyVolatility;
+
+    endValues.sort((a, b) => a - b);
+    const median = (values) => {
+      if (values.length === 0) return 0;
+      const sorted = [...values].sort((a, b) => a - b);
+      return Math.round(sorted[Math.floor(sorted.length / 2)]);
+    };
+
+    return {
+      allGoalsProbability: Math.round(allSucceeded / iterations * 100) / 100,
+      goals: schedule.map(goal => ({
+        id: goal.id,
+        name: goal.name,
+        month: goal.month,
+        amount: goal.amount,
+        priority: goal.priority || 2,
+        probability: Math.round(successes[goal.id] / iterations * 100) / 100,
+        // Share of runs in which this is the first goal to be missed
+        firstToFail: Math.round(firstFailures[goal.id] / iterations * 100) / 100,
+        medianShortfall: median(shortfalls[goal.id])
+      })),
+      // Most common sequences of missed goals, most frequent first
+      failureOrders: [...failureOrders.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([key, count]) => ({ goalIds: key.split('|'), probability: Math.round(count / iterations * 100) / 100 })),
+      percentiles: {
+        p10: Math.round(endValues[Math.floor(iterations * 0.1)] ?? 0),
+        p50: Math.round(endValues[Math.floor(iterations * 0.5)] ?? 0),
+        p90: Math.round(endValues[Math.floor(iterations * 0.9)] ?? 0)
+      },
+      seed,
+      iterations
+    };
+  },
+
+  // Guyton-Klinger style guardrails: when the withdrawal rate drifts more
+  // than upper/lower % from the starting rate, cut or raise spending by
+  // adjustment %
+  defaultGuardrails: { upper: 20, lower: 20, adjustment: 10 },
+
+  /**
+   * Simulate retirement withdrawals from a corpus until life expectancy
+   * Withdrawals rise with inflation each year, at the start of each month:
+   * the fixed inflation rate, or each path's own inflation when an
+   * inflation model is given.
+   * With guardrails, each year's withdrawal is also cut or raised when the
+   * withdrawal rate leaves its band.
+   * Reports the probability of running out, the median age at depletion
+   * and the safe withdrawal rate for the ruin tolerance
+   */
+  simulateDecumulation(params) {
+    const { ruinTolerance = 0.1 } = params;
+    const result = this.runDecumulation(params);
+    return {
+      ...result,
+      safeWithdrawalRate: this.findSafeWithdrawalRate(params, ruinTolerance),
+      ruinTolerance
+    };
+  },
+
+  /**
+   * One decumulation run (see simulateDecumulation)
+   */
+  runDecumulation(params) {
+    const {
+      corpus = 0,
+      monthlyWithdrawal = 0,
+      retirementAge = 60,
+      lifeExpectancy = 85,
+      inflation = 6,
+      inflationModel = null,
+      expectedReturn = 8,
+      volatility = 8,
+      guardrails = null,
+      iterations = 1000,
+      seed = this.newSeed(),
+      returnModel = this.defaultReturnModels.retirement,
+      shock = null,
+      onProgress = null
+    } = params;
+
+    const random = this.createRandom(seed);
+    const progressStep = Math.max(1, Math.floor(iterations / 20));
+    const annualReturn = expectedReturn / 100;
+    const annualVolatility = volatility / 100;
+    const months = Math.max(0, Math.round((lifeExpectancy - retirementAge) * 12));
+    const initialRate = corpus > 0 ? monthlyWithdrawal * 12 / corpus : Infinity;
+    const rules = guardrails ? { ...this.defaultGuardrails, ...guardrails } : null;
+
+    const depletionMonths = [];
+    const endValues = [];
+    const lowestSpending = [];
+
+    for (let i = 0; i < iterations; i++) {
+      let portfolio = corpus;
+      let withdrawal = monthlyWithdrawal;
+      let planned = monthlyWithdrawal;
+      let lowest = 1;
+      let depletedAt = null;
+      let lastIndex = 1;
+      const path = this.startPath(returnModel, random, inflationModel, shock);
+
+      for (let month = 0; month < months; month++) {
+        if (month > 0 && month % 12 === 0) {
+          const yearInflation = path.inflation ? path.inflation.index / lastIndex : 1 + inflation / 100;
+          lastIndex = path.inflation?.index ?? 1;
+          withdrawal *= yearInflation;
+          planned *= yearInflation;
+
+          if (rules && portfolio > 0) {
+            const rate = withdrawal * 12 / portfolio;
+            if (rate > initialRate * (1 + rules.upper / 100)) {
+              withdrawal *= 1 - rules.adjustment / 100;
+            } else if (rate < initialRate * (1 - rules.lower / 100)) {
+              withdrawal *= 1 + rules.adjustment / 100;
+            }
+          }
+          if (planned > 0) lowest = Math.min(lowest, withdrawal / planned);
+        }
+
+        if (portfolio < withdrawal) {
+          depletedAt = month;
+          portfolio = 0;
+          break;
+        }
+        portfolio -= withdrawal;
+        portfolio *= 1 + this.stepPath(path, annualReturn, annualVolatility, returnModel, random, inflationModel);
+      }
+
+      if (depletedAt !== null) depletionMonths.push(depletedAt);
+      endValues.push(portfolio);
+      lowestSpending.push(lowest);
+      if (onProgress && (i + 1) % progressStep === 0) onProgress((i + 1) / iterations);
+    }
+
+    endValues.sort((a, b) => a - b);
+    depletionMonths.sort((a, b) => a - b);
+    lowestSpending.sort((a, b) => a - b);
+    const medianDepletion = depletionMonths.length > 0
+      ? depletionMonths[Math.floor(depletionMonths.length / 2)]
+      : null;
+
+    return {
+      probabilityOfRuin: Math.round(depletionMonths.length / iterations * 100) / 100,
+      // Among runs that run out
+      medianDepletionAge: medianDepletion === null ? null : Math.round((retirementAge + medianDepletion / 12) * 10) / 10,
+      initialWithdrawalRate: Math.round(initialRate * 10000) / 100,
+      // Deepest guardrail cut in a typical run, as % of the planned withdrawal
+      medianLowestSpending: Math.round(lowestSpending[Math.floor(iterations / 2)] * 100),
+      percentiles: {
+        p10: Math.round(endValues[Math.floor(iterations * 0.1)]),
+        p50: Math.round(endValues[Math.floor(iterations * 0.5)]),
+        p90: Math.round(endValues[Math.floor(iterations * 0.9)])
+      },
+      guardrails: rules,
+      seed,
+      iterations
+    };
+  },
+
+  /**
+   * Highest starting withdrawal rate (% of corpus a year) whose probability
+   * of ruin stays within tolerance, to 0.05%
+   * Every trial uses the same seed, so ruin only grows with the rate; trials
+   * run at most 500 iterations to keep the search quick
+   */
+  findSafeWithdrawalRate(params, ruinTolerance = 0.1) {
+    const { corpus = 0, iterations = 1000 } = params;
+    if (corpus <= 0) return 0;
+
+    const seed = params.seed ?? this.newSeed();
+    const ruinAt = (rate) => this.runDecumulation({
+      ...params,
+      seed,
+      iterations: Math.min(iterations, 500),
+      onProgress: null,
+      monthlyWithdrawal: corpus * rate / 100 / 12
+    }).probabilityOfRuin;
+
+    let low = 0;
+    let high = 20;
+    if (ruinAt(high) <= ruinTolerance) return high;
+
+    while (high - low > 0.05) {
+      const mid = (low + high) / 2;
+      if (ruinAt(mid) <= ruinTolerance) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return Math.round(low * 100) / 100;
+  },
+
+  /**
+   * Re-run a simulation exactly from its recorded inputs, seed and iterations
+   */
+  replay(simulation) {
+    return this.simulateGoal({
+      returnModel: { model: 'normal' }, // Recorded before return models existed
+      ...simulation.params,
+      seed: simulation.seed,
+      iterations: simulation.iterations
+    });
+  },
+
+  /**
+   * Generate monthly return under a return model
+   * Draws from the given generator (seeded for reproducible runs)
+   */
+  generateMonthlyReturn(annualReturn, annualVolatility, random = Math.random, returnModel = { model: 'normal' }, bear = false) {
+    const shock = this.drawShock(returnModel, this.normal(random), random);
+    return this.monthlyReturnFromShock(annualReturn, annualVolatility, shock, returnModel, bear);
+  },
+
+  /**
+   * Monthly return for a unit-variance shock
+   */
+  monthlyReturnFromShock(annualReturn, annualVolatility, shock, returnModel = { model: 'normal' }, bear = false) {
+    if (returnModel.model === 'normal') {
+      // Convert annual to monthly
+      const monthlyReturn = annualReturn / 12;
+      const monthlyVolatility = annualVolatility / Math.sqrt(12);
+      
+      return monthlyReturn + shock * monthlyVolatility;
+    }
+
+    const { annualReturn: mean, annualVolatility: volatility } = returnModel.model === 'regime-switching'
+      ? this.regimeParams(annualReturn, annualVolatility, returnModel, bear)
+      : { annualReturn, annualVolatility };
+
+    // Log returns whose annual growth has this mean and volatility
+    const logVariance = Math.log(1 + (volatility * volatility) / Math.pow(1 + mean, 2));
+    const logMean = Math.log(1 + mean) - logVariance / 2;
+    return Math.exp(logMean / 12 + shock * Math.sqrt(logVariance / 12)) - 1;
   },
 
   /**
    * Simulate multiple asset portfolio
+   * Each asset's category ('equity', 'debt', ...) sets how its monthly
+   * returns move with the others (see defaultCorrelations) and its return
+   * model. Regime-switching assets share one market regime per path, and
+   * yearly-replay assets replay the same past periods.
    */
-  simulatePortfolio(assets, years, iterations = 1000) {
+  simulatePortfolio(assets, years, iterations = 1000, seed = this.newSeed(), correlations = this.defaultCorrelations, returnModels = this.defaultReturnModels) {
+    const random = this.createRandom(seed);
     const results = [];
     const months = Math.round(years * 12);
+
+    const matrix = assets.map((a, i) => assets.map((b, j) =>
+      i === j ? 1 : this.getCorrelation(a.category, b.category, correlations)));
+    const L = this.correlationFactor(matrix);
+    const models = assets.map(asset => returnModels[asset.category] || { model: 'lognormal' });
+    const marketModel = models.find(model => model.model === 'regime-switching');
+    const historyModel = models.find(model => model.model === 'yearly-replay');
     
     for (let i = 0; i < iterations; i++) {
-      let totalValue = 0;
+      const values = assets.map(asset => asset.currentValue || 0);
+      const regime = this.startRegime(marketModel, random);
+      const history = this.startHistory(historyModel);
       
-      // Simulate each asset
-      for (const asset of assets) {
-        let value = asset.currentValue;
-        const monthlyContribution = asset.monthlyContribution || 0;
-        const annualReturn = (asset.expectedReturn || 10) / 100;
-        const annualVolatility = (asset.volatility || 15) / 100;
-        
-        for (let month = 0; month < months; month++) {
-          const monthlyReturn = this.generateMonthlyReturn(annualReturn, annualVolatility);
-          value = value * (1 + monthlyReturn) + monthlyContribution;
-        }
-        
-        totalValue += value;
+      for (let month = 0; month < months; month++) {
+        this.advanceRegime(regime, marketModel, random);
+        this.advanceHistory(history, random);
+        const shocks = this.correlatedNormals(L, random);
+        const scales = {};
+
+        assets.forEach((asset, a) => {
+          if (models[a].model === 'yearly-replay') {
+            values[a] = values[a] * (1 + this.historicalReturn(history, models[a].mix)) + (asset.monthlyContribution || 0);
+            return;
+          }
+
+          const annualReturn = (asset.expectedReturn ?? 10) / 100;
+          const annualVolatility = (asset.volatility ?? 15) / 100;
+          const shock = this.drawShock(models[a], shocks[a], random, scales);
+          const monthlyReturn = this.monthlyReturnFromShock(annualReturn, annualVolatility, shock, models[a], regime.bear);
+          values[a] = values[a] * (1 + monthlyReturn) + (asset.monthlyContribution || 0);
+        });
       }
       
-      results.push(totalValue);
+      results.push(values.reduce((sum, value) => sum + value, 0));
     }
     
     results.sort((a, b) => a - b);
@@ -118,10 +888,14 @@ const MonteCarlo = {
     return {
       percentiles: {
         p10: Math.round(results[Math.floor(iterations * 0.1)]),
+        p25: Math.round(results[Math.floor(iterations * 0.25)]),
         p50: Math.round(results[Math.floor(iterations * 0.5)]),
+        p75: Math.round(results[Math.floor(iterations * 0.75)]),
         p90: Math.round(results[Math.floor(iterations * 0.9)])
       },
-      mean: Math.round(results.reduce((a, b) => a + b, 0) / iterations)
+      mean: Math.round(results.reduce((a, b) => a + b, 0) / iterations),
+      seed,
+      iterations
     };
   },
 
@@ -149,19 +923,40 @@ const MonteCarlo = {
     return months < 600 ? months : null;
   },
 
+  /**
+   * SIP in a given month (from 0) when it steps up every twelve months
+   */
+  stepUpContribution(monthlyContribution, stepUp, month) {
+    return stepUp ? monthlyContribution * Math.pow(1 + stepUp / 100, Math.floor(month / 12)) : monthlyContribution;
+  },
+
+  /**
+   * Future value of a starting SIP of 1 that steps up yearly, invested
+   * at the end of each month
+   */
+  stepUpAnnuityFactor(monthlyRate, months, stepUp = 0) {
+    let factor = 0;
+    for (let month = 0; month < months; month++) {
+      factor += this.stepUpContribution(1, stepUp, month) * Math.pow(1 + monthlyRate, months - 1 - month);
+    }
+    return factor;
+  },
+
   /**
    * Calculate required monthly SIP to reach target
+   * With a step-up, this is the first year's SIP
    */
   calculateRequiredSIP(params) {
     const {
       currentAmount = 0,
       expectedReturn = 12,
       targetAmount = 1000000,
-      years = 5
+      years = 5,
+      stepUp = 0
     } = params;
     
     const monthlyRate = (expectedReturn / 100) / 12;
-    const months = years * 12;
+    const months = Math.max(1, Math.round(years * 12));
     
     // Future value of current amount
     const fvCurrent = currentAmount * Math.pow(1 + monthlyRate, months);
@@ -171,12 +966,26 @@ const MonteCarlo = {
     
     if (remaining <= 0) return 0;
     
-    // Required SIP (annuity formula)
-    const sip = remaining * monthlyRate / (Math.pow(1 + monthlyRate, months) - 1);
+    // Required SIP (annuity formula, stepped up yearly)
+    const sip = remaining / this.stepUpAnnuityFactor(monthlyRate, months, stepUp);
     
     return Math.max(0, Math.round(sip));
   },
 
+  /**
+   * SIP for each year of a stepped-up plan
+   * The last year may be part of a year
+   */
+  getSIPSchedule(startingSIP, stepUp, months) {
+    const schedule = [];
+    for (let start = 0; start < months; start += 12) {
+      const monthlySIP = Math.round(this.stepUpContribution(startingSIP, stepUp, start));
+      const monthsInYear = Math.min(12, months - start);
+      schedule.push({ year: start / 12 + 1, monthlySIP, months: monthsInYear, total: monthlySIP * monthsInYear });
+    }
+    return schedule;
+  },
+
   /**
    * Calculate windfall impact (butterfly effect)
    */
@@ -186,7 +995,9 @@ const MonteCarlo = {
       currentMonthlyContribution = 0,
       expectedReturn = 12,
       targetAmount = 1000000,
-      currentProgress = 0
+      currentProgress = 0,
+      seed,
+      returnModel
     } = params;
     
     // Calculate months to target with current contribution
@@ -218,7 +1029,9 @@ const MonteCarlo = {
         volatility: 15,
         years: monthsWithoutWindfall / 12,
         targetAmount: windfall * 2, // Just for calculation
-        iterations: 100
+        iterations: 100,
+        seed,
+        returnModel
       }).percentiles.p50
     };
   },
@@ -231,13 +1044,19 @@ const MonteCarlo = {
     const {
       currentAmount = 0,
       currentMonthlyContribution = 0,
+      stepUp = 0,
       targetAmount = 1000000,
       baseYears = 5,
       baseReturn = 12,
       baseVolatility = 15,
       delayMonths = 0,
       riskAdjustment = 0, // -6 (conservative) to +6 (aggressive)
-      targetReduction = 0 // 0-50%
+      targetReduction = 0, // 0-50%
+      seed,
+      returnModel,
+      inflationModel = null,
+      targetToday = null,
+      inflationSpread = 0
     } = params;
     
     const adjustedYears = baseYears + (delayMonths / 12);
@@ -248,11 +1067,17 @@ const MonteCarlo = {
     return this.simulateGoal({
       currentAmount,
       monthlyContribution: currentMonthlyContribution,
+      stepUp,
       expectedReturn: adjustedReturn,
       volatility: adjustedVolatility,
       years: adjustedYears,
       targetAmount: adjustedTarget,
-      iterations: 500 // Faster for interactive sliders
+      iterations: 500, // Faster for interactive sliders
+      seed,
+      returnModel,
+      inflationModel,
+      targetToday: targetToday === null ? null : targetToday * (1 - targetReduction / 100),
+      inflationSpread
     });
   },
 
@@ -263,10 +1088,14 @@ const MonteCarlo = {
     const {
       currentAmount = 0,
       monthlyContribution = 0,
+      stepUp = 0,
       expectedReturn = 12,
       volatility = 15,
       years = 10,
-      iterations = 100
+      iterations = 100,
+      // One seed for every time point keeps the fan chart smooth
+      seed = this.newSeed(),
+      returnModel
     } = params;
     
     const months = years * 12;
@@ -285,11 +1114,14 @@ const MonteCarlo = {
       const result = this.simulateGoal({
         currentAmount,
         monthlyContribution,
+        stepUp,
         expectedReturn,
         volatility,
         years: m / 12,
         targetAmount: 0, // Not needed for projection
-        iterations
+        iterations,
+        seed,
+        returnModel
       });
       
       const date = new Date();
@@ -0,0 +1,179 @@
+/**
+ * Pro-Finance Regime Optimizer
+ * Break-even deductions and top-up recommendations across both regimes
+ */
+
+const RegimeOptimizer = {
+  // Instruments the optimizer can recommend, by the section they use
+  topUps: [
+    { id: 'elss', name: 'ELSS', section: 'section80C' },
+    { id: 'ppf', name: 'PPF', section: 'section80C' },
+    { id: 'nps', name: 'NPS (80CCD(1B))', section: 'section80CCD1B' },
+    { id: 'health-insurance', name: 'Health Insurance (80D)', section: 'section80D' }
+  ],
+
+  // Changes only the employer can make (restructuring CTC), shown apart
+  // from the top-ups and left out of the optimized tax
+  employerAsks: [
+    { id: 'employer-nps', name: 'Employer NPS (80CCD(2))', section: 'employerNPS' }
+  ],
+
+  /**
+   * Tax under a regime with extra deductions on top of the entity's own
+   */
+  taxWith(params, regime, extra = {}) {
+    return TaxCalculator.calculateTax({
+      ...params,
+      regime,
+      deductions80C: params.deductions80C + (extra.section80C || 0),
+      deductions80CCD: params.deductions80CCD + (extra.section80CCD1B || 0),
+      deductions80D: params.deductions80D + (extra.section80D || 0),
+      employerNPS: params.employerNPS + (extra.employerNPS || 0)
+    }).totalTax;
+  },
+
+  /**
+   * Unused room in each section
+   * Employer NPS room uses the larger (new regime) cap; the calculator
+   * applies each regime's own cap
+   */
+  getHeadroom(params) {
+    const rules = TaxCalculator.getRules(params.financialYear);
+    const employerNPSCap = params.basicAndDA *
+      (Math.max(rules.new.employerNPSPercent, rules.old.employerNPSPercent) / 100);
+
+    return {
+      section80C: Math.max(0, TaxCalculator.section80CLimit - params.deductions80C),
+      section80CCD1B: Math.max(0, TaxDeductions.section80CCD1BLimit - params.deductions80CCD),
+      section80D: Math.max(0, TaxCalculator.section80D.self + TaxCalculator.section80D.parents - params.deductions80D),
+      employerNPS: Math.max(0, Math.round(employerNPSCap - params.employerNPS))
+    };
+  },
+
+  /**
+   * Old-regime deductions (beyond the standard deduction) at which
+   * the old regime costs the same as the new one
+   * Returns null when no amount of deductions makes the old regime cheaper
+   */
+  findBreakEven(params) {
+    const newTax = TaxCalculator.calculateTax({ ...params, regime: 'new' }).totalTax;
+    const oldTaxAt = (deduction) => TaxCalculator.calculateTax({
+      ...params,
+      regime: 'old',
+      grossIncome: Math.max(0, params.grossIncome - deduction),
+      deductions80C: 0,
+      deductions80D: 0,
+      deductions80CCD: 0,
+      homeLoanInterest: 0,
+      housePropertyIncome: Math.max(0, params.housePropertyIncome || 0),
+      hra: 0,
+      hraDetails: null
+    }).totalTax;
+
+    if (oldTaxAt(0) <= newTax) return 0;
+    if (oldTaxAt(params.grossIncome) > newTax) return null;
+
+    let low = 0;
+    let high = params.grossIncome;
+    while (high - low > 100) {
+      const mid = (low + high) / 2;
+      if (oldTaxAt(mid) <= newTax) high = mid; else low = mid;
+    }
+    return Math.ceil(high / 100) * 100;
+  },
+
+  /**
+   * Old-regime deductions and exemptions currently claimed
+   * House property counts by how far it lowers income below the
+   * let-out income alone (self-occupied interest and any set-off loss)
+   */
+  getClaimedDeductions(oldResult, params) {
+    const { deductions, exemptions, houseProperty } = oldResult.breakdown;
+    const chapterVIA = Object.entries(deductions)
+      .filter(([key]) => !['standardDeduction', 'section80CCD2', 'homeLoanInterest'].includes(key))
+      .reduce((sum, [, amount]) => sum + amount, 0);
+    const housePropertyRelief = Math.max(0, params.housePropertyIncome || 0) - houseProperty.income;
+
+    return chapterVIA + housePropertyRelief + (exemptions.hra || 0);
+  },
+
+  /**
+   * Options that fill their section's headroom and save tax in either regime
+   */
+  evaluate(options, params, current, headroom) {
+    return options
+      .filter(option => headroom[option.section] > 0)
+      .map(option => {
+        const extra = { [option.section]: headroom[option.section] };
+        return {
+          ...option,
+          amount: headroom[option.section],
+          taxSaved: {
+            old: current.old.totalTax - this.taxWith(params, 'old', extra),
+            new: current.new.totalTax - this.taxWith(params, 'new', extra)
+          }
+        };
+      })
+      .filter(rec => rec.taxSaved.old > 0 || rec.taxSaved.new > 0);
+  },
+
+  /**
+   * Optimize one entity: break-even, top-ups and the best regime after them
+   */
+  optimize(entity, configuration = {}) {
+    const params = HouseholdTax.buildTaxParams(entity, configuration);
+    const current = TaxCalculator.compareRegimes(params);
+    const headroom = this.getHeadroom(params);
+
+    const recommendations = this.evaluate(this.topUps, params, current, headroom);
+    const employerAsks = params.basicAndDA > 0 ? this.evaluate(this.employerAsks, params, current, headroom) : [];
+
+    // Everything recommended at once (ELSS and PPF share the 80C room)
+    const allTopUps = {};
+    recommendations.forEach(rec => { allTopUps[rec.section] = rec.amount; });
+    const optimizedOld = this.taxWith(params, 'old', allTopUps);
+    const optimizedNew = this.taxWith(params, 'new', allTopUps);
+    const currentBest = Math.min(current.old.totalTax, current.new.totalTax);
+    const optimizedBest = Math.min(optimizedOld, optimizedNew);
+
+    const breakEven = this.findBreakEven(params);
+    const claimed = this.getClaimedDeductions(current.old, params);
+
+    return {
+      entityId: entity.id,
+      name: entity.name,
+      financialYear: params.financialYear,
+      current: {
+        old: current.old.totalTax,
+        new: current.new.totalTax,
+        recommendedRegime: current.recommendedRegime
+      },
+      breakEven: {
+        deductions: breakEven,
+        claimed,
+        gap: breakEven === null ? null : Math.max(0, breakEven - claimed)
+      },
+      headroom,
+      recommendations,
+      employerAsks,
+      unabsorbedBusinessLoss: params.unabsorbedBusinessLoss || 0,
+      optimized: {
+        old: optimizedOld,
+        new: optimizedNew,
+        recommendedRegime: optimizedOld < optimizedNew ? 'old' : 'new',
+        totalTax: optimizedBest,
+        saving: currentBest - optimizedBest
+      }
+    };
+  },
+
+  /**
+   * Optimize every entity in the household
+   */
+  optimizeHousehold(state) {
+    const configuration = state.configuration || {};
+    return (state.entities || [])
+      .filter(entity => (entity.incomeStreams || []).length > 0)
+      .map(entity => this.optimize(entity, configuration));
+  }
+};
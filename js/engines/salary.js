@@ -0,0 +1,128 @@
+/**
+ * Pro-Finance Salary Engine
+ * CTC components to gross, taxable and take-home salary
+ */
+
+const Salary = {
+  /**
+   * Does this income stream record a salary structure?
+   */
+  hasStructure(income) {
+    return !!(income && income.salaryStructure);
+  },
+
+  /**
+   * Fixed monthly cash salary: basic + DA + HRA + special allowance
+   */
+  getFixedMonthly(structure) {
+    return (structure.basic || 0) + (structure.da || 0) +
+      (structure.hra || 0) + (structure.specialAllowance || 0);
+  },
+
+  /**
+   * Average monthly gross, with variable pay spread over the year
+   * This is the income stream's `amount` when a structure is recorded
+   */
+  getMonthlyAmount(structure) {
+    return Math.round(this.getFixedMonthly(structure) + (structure.variablePay || 0) / 12);
+  },
+
+  /**
+   * Employee EPF deducted from pay each month
+   * Mirrors the employer share unless recorded separately
+   */
+  getEmployeeEPF(structure) {
+    return structure.employeeEPF ?? (structure.employerEPF || 0);
+  },
+
+  /**
+   * Annual gross salary paid in cash (fixed pay plus variable pay)
+   */
+  getAnnualGross(structure) {
+    return this.getFixedMonthly(structure) * 12 + (structure.variablePay || 0);
+  },
+
+  /**
+   * Annual salary as counted for income tax
+   * Employer NPS is a perquisite (then deducted under 80CCD(2));
+   * employer EPF and gratuity accrual are not taxed while accruing
+   */
+  getTaxableSalary(structure) {
+    return this.getAnnualGross(structure) + (structure.employerNPS || 0) * 12;
+  },
+
+  /**
+   * Annual cost to company
+   */
+  getCTC(structure) {
+    const employerMonthly = (structure.employerEPF || 0) + (structure.employerNPS || 0) + (structure.gratuity || 0);
+    return this.getAnnualGross(structure) + employerMonthly * 12;
+  },
+
+  /**
+   * Cash paid in a calendar month (1-12); variable pay lands in the bonus month
+   * or is spread evenly when no bonus month is recorded
+   */
+  getPayForMonth(structure, month) {
+    const variablePay = structure.variablePay || 0;
+    if (!structure.bonusMonth) return this.getFixedMonthly(structure) + variablePay / 12;
+    return this.getFixedMonthly(structure) + (structure.bonusMonth === month ? variablePay : 0);
+  },
+
+  /**
+   * Annual income for tax from any income stream
+   */
+  getAnnualTaxable(income, financialYear) {
+    return this.hasStructure(income)
+      ? this.getTaxableSalary(income.salaryStructure)
+      : CashFlow.getAnnualAmount(income, financialYear);
+  },
+
+  /**
+   * Monthly retirement contributions across an entity's salaries
+   */
+  getContributions(entity) {
+    return (entity.incomeStreams || [])
+      .filter(income => this.hasStructure(income))
+      .reduce((totals, income) => {
+        const structure = income.salaryStructure;
+        totals.employeeEPF += this.getEmployeeEPF(structure);
+        totals.employerEPF += structure.employerEPF || 0;
+        totals.employerNPS += structure.employerNPS || 0;
+        totals.gratuity += structure.gratuity || 0;
+        totals.basicAndDA += (structure.basic || 0) + (structure.da || 0);
+        return totals;
+      }, { employeeEPF: 0, employerEPF: 0, employerNPS: 0, gratuity: 0, basicAndDA: 0 });
+  },
+
+  /**
+   * Employee EPF for the whole household, per month
+   */
+  getHouseholdEmployeeEPF(state) {
+    return (state.entities || []).reduce((sum, entity) =>
+      sum + this.getContributions(entity).employeeEPF, 0);
+  },
+
+  /**
+   * CTC to take-home breakdown for one salary stream, annual figures
+   */
+  breakdown(income, annualTax = 0) {
+    const structure = income.salaryStructure;
+    const annualGross = this.getAnnualGross(structure);
+    const employeeEPF = this.getEmployeeEPF(structure) * 12;
+    const takeHome = annualGross - employeeEPF - annualTax;
+
+    return {
+      ctc: this.getCTC(structure),
+      employerEPF: (structure.employerEPF || 0) * 12,
+      employerNPS: (structure.employerNPS || 0) * 12,
+      gratuity: (structure.gratuity || 0) * 12,
+      grossSalary: annualGross,
+      taxableSalary: this.getTaxableSalary(structure),
+      employeeEPF,
+      incomeTax: annualTax,
+      takeHome,
+      monthlyTakeHome: Math.round(takeHome / 12)
+    };
+  }
+};
@@ -0,0 +1,197 @@
+/**
+ * Pro-Finance Stress Test Engine
+ * Named market and rate shocks replayed through the plan
+ */
+
+const StressTest = {
+  // Deterministic shocks, starting today:
+  // - equity: market moves (%), each spread evenly over its months
+  // - inflation: an annual rate (%) held for some months
+  // - rateChange: percentage points added to floating-rate loans
+  scenarios: {
+    'crash-2008': {
+      name: '2008 Crash',
+      description: 'Equity falls 50% over the first year',
+      equity: [{ months: 12, change: -50 }]
+    },
+    'covid-2020': {
+      name: 'COVID Drawdown',
+      description: 'Equity drops 38% in two months, then recovers over the next ten',
+      equity: [{ months: 2, change: -38 }, { months: 10, change: 60 }]
+    },
+    'inflation-decade': {
+      name: 'High-Inflation Decade',
+      description: 'Inflation runs at 8% for ten years',
+      inflation: { rate: 8, months: 120 }
+    },
+    'rate-shock': {
+      name: 'Rate Shock',
+      description: 'Floating loan rates rise 250 bps',
+      rateChange: 2.5
+    }
+  },
+
+  /**
+   * Get a scenario by id
+   */
+  getScenario(scenarioId) {
+    const scenario = this.scenarios[scenarioId];
+    if (!scenario) throw new Error(`Unknown stress scenario: ${scenarioId}`);
+    return { id: scenarioId, ...scenario };
+  },
+
+  /**
+   * A scenario as the shock MonteCarlo applies to the start of each path
+   */
+  getShock(scenario) {
+    const returns = (scenario.equity || []).flatMap(move =>
+      Array(move.months).fill((Math.pow(1 + move.change / 100, 1 / move.months) - 1) * 100));
+    return { returns, inflation: scenario.inflation || null };
+  },
+
+  /**
+   * How much higher prices are after some months under the scenario than
+   * at the base inflation rate
+   */
+  getPriceFactor(scenario, months, baseRate) {
+    if (!scenario.inflation) return 1;
+    const shockedMonths = Math.min(months, scenario.inflation.months);
+    return Math.pow((1 + scenario.inflation.rate / 100) / (1 + baseRate / 100), shockedMonths / 12);
+  },
+
+  /**
+   * Floating-rate loans before and after the scenario's rate change
+   */
+  stressDebts(liabilities, scenario) {
+    if (!scenario.rateChange || liabilities.length === 0) {
+      return { extraMonthlyEMI: 0, extraInterest: 0, loans: [] };
+    }
+
+    const stressed = DebtSnowball.applyRateShock(liabilities, scenario.rateChange);
+    const before = DebtSnowball.analyzeDebts(liabilities).summary;
+    const after = DebtSnowball.analyzeDebts(stressed).summary;
+
+    return {
+      extraMonthlyEMI: after.totalMonthlyPayment - before.totalMonthlyPayment,
+      extraInterest: after.totalInterestPaid - before.totalInterestPaid,
+      loans: liabilities
+        .map((liability, i) => ({
+          name: liability.name,
+          interestRate: liability.interestRate,
+          stressedRate: stressed[i].interestRate,
+          emi: liability.emi,
+          stressedEMI: stressed[i].emi
+        }))
+        .filter(loan => loan.stressedRate !== loan.interestRate)
+    };
+  },
+
+  /**
+   * A goal's savings at its target date on the expected-return path
+   * (the return its required SIP assumes), against its target, with and
+   * without the scenario. sipCut comes off the goal's SIP each month.
+   */
+  projectGoal(goal, scenario, sipCut = 0) {
+    const configuration = Store.get('configuration') || {};
+    const months = Math.max(1, Math.round((new Date(goal.targetDate + '-01') - new Date()) / (30.44 * 24 * 60 * 60 * 1000)));
+    const target = goal.fundingType === 'loan' ? goal.downpaymentAmount || 0 : goal.futureValue || goal.targetAmount;
+    const stepUp = Store.getGoalStepUp(goal);
+    const sip = goal.monthlyContribution || 0;
+    const monthlyRate = 0.12 / 12; // As assumed by Store.calculateGoalMetrics
+    const shockedReturns = this.getShock(scenario).returns;
+
+    let projected = goal.currentValue || 0;
+    let stressedProjected = projected;
+    for (let month = 0; month < months; month++) {
+      const shocked = shockedReturns[month];
+      projected = projected * (1 + monthlyRate) + MonteCarlo.stepUpContribution(sip, stepUp, month);
+      stressedProjected = stressedProjected * (1 + (shocked !== undefined ? shocked / 100 : monthlyRate))
+        + MonteCarlo.stepUpContribution(Math.max(0, sip - sipCut), stepUp, month);
+    }
+
+    const stressedTarget = goal.inflationAdjust !== false
+      ? target * this.getPriceFactor(scenario, months, configuration.inflationRate ?? 6)
+      : target;
+
+    // The loan taken at the goal date reprices too, if it floats
+    const loanType = goal.type === 'house' ? 'home' : goal.type;
+    const stressedEMI = goal.fundingType === 'loan' && scenario.rateChange && Models.isFloatingRateLoan({ loanType })
+      ? Store.calculateEMI(goal.loanAmount || 0, (goal.loanInterestRate || 0) + scenario.rateChange, goal.loanTenureYears || 0)
+      : null;
+
+    return {
+      target: Math.round(target),
+      stressedTarget: Math.round(stressedTarget),
+      projected: Math.round(projected),
+      stressedProjected: Math.round(stressedProjected),
+      shortfall: Math.round(Math.max(0, stressedTarget - stressedProjected)),
+      emi: stressedEMI !== null ? goal.projectedEMI || 0 : null,
+      stressedEMI: stressedEMI !== null ? Math.round(stressedEMI) : null
+    };
+  },
+
+  /**
+   * Run a scenario through the debts, the whole-plan simulation and each
+   * goal's projection
+   * Both plan runs share a seed, so the difference is the scenario alone.
+   * A goal fails when the shocked plan meets it less than half the time.
+   */
+  async run(scenarioId) {
+    const scenario = this.getScenario(scenarioId);
+    const configuration = Store.get('configuration') || {};
+    const goals = Store.get('goals') || [];
+    const liabilities = (Store.get('entities') || []).flatMap(entity => entity.liabilities || []);
+
+    const debt = this.stressDebts(liabilities, scenario);
+
+    // Inflation shocks need an inflation process even when the plan's
+    // inflation is fixed: a flat one at the configured rate
+    const inflationModel = MonteCarlo.getInflationModel(configuration)
+      || { ...MonteCarlo.defaultInflationModel, mean: configuration.inflationRate ?? 6, volatility: 0 };
+    const baseParams = {
+      ...Store.buildPlanParams(inflationModel),
+      iterations: configuration.monteCarloIterations,
+      seed: MonteCarlo.getSeed(configuration)
+    };
+    const stressedParams = {
+      ...baseParams,
+      monthlyContribution: Math.max(0, baseParams.monthlyContribution - debt.extraMonthlyEMI),
+      shock: this.getShock(scenario)
+    };
+
+    const base = await MonteCarloRunner.simulatePlan(baseParams, { channel: 'stress' });
+    const stressed = await MonteCarloRunner.simulatePlan(stressedParams, { channel: 'stress' });
+
+    // Higher EMIs come out of each goal's SIP in proportion to its size
+    const totalSIP = goals.reduce((sum, goal) => sum + (goal.monthlyContribution || 0), 0);
+
+    const results = goals.map(goal => {
+      const baseGoal = base.goals.find(g => g.id === goal.id);
+      const stressedGoal = stressed.goals.find(g => g.id === goal.id);
+      const sipCut = totalSIP > 0 ? debt.extraMonthlyEMI * (goal.monthlyContribution || 0) / totalSIP : 0;
+      const projection = this.projectGoal(goal, scenario, sipCut);
+
+      return {
+        id: goal.id,
+        name: goal.name,
+        ...projection,
+        probability: baseGoal?.probability ?? null,
+        stressedProbability: stressedGoal?.probability ?? null,
+        medianShortfall: stressedGoal?.medianShortfall ?? 0,
+        fails: (stressedGoal?.probability ?? 1) < 0.5
+      };
+    });
+
+    return {
+      scenario,
+      debt,
+      allGoalsProbability: base.allGoalsProbability,
+      stressedAllGoalsProbability: stressed.allGoalsProbability,
+      goals: results,
+      failingGoals: results.filter(goal => goal.fails).map(goal => goal.id),
+      seed: stressed.seed,
+      iterations: stressed.iterations,
+      ranAt: new Date().toISOString()
+    };
+  }
+};
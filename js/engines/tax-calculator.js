@@ -4,30 +4,133 @@
  */
 
 const TaxCalculator = {
-  // Tax slabs for FY 2025-26
-  taxSlabs: {
-    new: {
-      slabs: [
-        { min: 0, max: 400000, rate: 0 },
-        { min: 400000, max: 800000, rate: 5 },
-        { min: 800000, max: 1200000, rate: 10 },
-        { min: 1200000, max: 1600000, rate: 15 },
-        { min: 1600000, max: 2000000, rate: 20 },
-        { min: 2000000, max: 2400000, rate: 25 },
-        { min: 2400000, max: Infinity, rate: 30 }
-      ],
-      standardDeduction: 75000,
-      rebate87A: { limit: 700000, maxRebate: 25000 } // For income up to 7L
+  // Financial year used when none is configured: the one today falls in
+  get defaultFinancialYear() {
+    return CapitalGains.getFinancialYear(new Date());
+  },
+
+  // Versioned rule sets keyed by financial year
+  // Years without a published table fall back to the most recent one
+  taxRules: {
+    '2023-24': {
+      new: {
+        slabs: [
+          { min: 0, max: 300000, rate: 0 },
+          { min: 300000, max: 600000, rate: 5 },
+          { min: 600000, max: 900000, rate: 10 },
+          { min: 900000, max: 1200000, rate: 15 },
+          { min: 1200000, max: 1500000, rate: 20 },
+          { min: 1500000, max: Infinity, rate: 30 }
+        ],
+        standardDeduction: 50000,
+        employerNPSPercent: 10, // 80CCD(2) cap, % of basic + DA
+        rebate87A: { limit: 700000, maxRebate: 25000, marginalRelief: true },
+        surcharge: [
+          { threshold: 5000000, rate: 10 },
+          { threshold: 10000000, rate: 15 },
+          { threshold: 20000000, rate: 25 } // New regime caps surcharge at 25%
+        ]
+      },
+      old: {
+        slabs: [
+          { min: 0, max: 250000, rate: 0 },
+          { min: 250000, max: 500000, rate: 5 },
+          { min: 500000, max: 1000000, rate: 20 },
+          { min: 1000000, max: Infinity, rate: 30 }
+        ],
+        standardDeduction: 50000,
+        employerNPSPercent: 10,
+        rebate87A: { limit: 500000, maxRebate: 12500 },
+        surcharge: [
+          { threshold: 5000000, rate: 10 },
+          { threshold: 10000000, rate: 15 },
+          { threshold: 20000000, rate: 25 },
+          { threshold: 50000000, rate: 37 }
+        ]
+      },
+      cess: 4,
+      // Non-equity LTCG at 20% (indexation benefit not modelled)
+      capitalGains: { ltcgRate: 10, stcgRate: 15, ltcgExemption: 100000, ltcgOtherRate: 20 }
+    },
+    '2024-25': {
+      new: {
+        slabs: [
+          { min: 0, max: 300000, rate: 0 },
+          { min: 300000, max: 700000, rate: 5 },
+          { min: 700000, max: 1000000, rate: 10 },
+          { min: 1000000, max: 1200000, rate: 15 },
+          { min: 1200000, max: 1500000, rate: 20 },
+          { min: 1500000, max: Infinity, rate: 30 }
+        ],
+        standardDeduction: 75000,
+        employerNPSPercent: 14,
+        rebate87A: { limit: 700000, maxRebate: 25000, marginalRelief: true },
+        surcharge: [
+          { threshold: 5000000, rate: 10 },
+          { threshold: 10000000, rate: 15 },
+          { threshold: 20000000, rate: 25 }
+        ]
+      },
+      old: {
+        slabs: [
+          { min: 0, max: 250000, rate: 0 },
+          { min: 250000, max: 500000, rate: 5 },
+          { min: 500000, max: 1000000, rate: 20 },
+          { min: 1000000, max: Infinity, rate: 30 }
+        ],
+        standardDeduction: 50000,
+        employerNPSPercent: 10,
+        rebate87A: { limit: 500000, maxRebate: 12500 },
+        surcharge: [
+          { threshold: 5000000, rate: 10 },
+          { threshold: 10000000, rate: 15 },
+          { threshold: 20000000, rate: 25 },
+          { threshold: 50000000, rate: 37 }
+        ]
+      },
+      cess: 4,
+      // Rates effective 23-Jul-2024, applied to the whole year
+      capitalGains: { ltcgRate: 12.5, stcgRate: 20, ltcgExemption: 125000, ltcgOtherRate: 12.5 }
     },
-    old: {
-      slabs: [
-        { min: 0, max: 250000, rate: 0 },
-        { min: 250000, max: 500000, rate: 5 },
-        { min: 500000, max: 1000000, rate: 20 },
-        { min: 1000000, max: Infinity, rate: 30 }
-      ],
-      standardDeduction: 50000,
-      rebate87A: { limit: 500000, maxRebate: 12500 }
+    '2025-26': {
+      new: {
+        slabs: [
+          { min: 0, max: 400000, rate: 0 },
+          { min: 400000, max: 800000, rate: 5 },
+          { min: 800000, max: 1200000, rate: 10 },
+          { min: 1200000, max: 1600000, rate: 15 },
+          { min: 1600000, max: 2000000, rate: 20 },
+          { min: 2000000, max: 2400000, rate: 25 },
+          { min: 2400000, max: Infinity, rate: 30 }
+        ],
+        standardDeduction: 75000,
+        employerNPSPercent: 14,
+        rebate87A: { limit: 1200000, maxRebate: 60000, marginalRelief: true },
+        surcharge: [
+          { threshold: 5000000, rate: 10 },
+          { threshold: 10000000, rate: 15 },
+          { threshold: 20000000, rate: 25 }
+        ]
+      },
+      old: {
+        slabs: [
+          { min: 0, max: 250000, rate: 0 },
+          { min: 250000, max: 500000, rate: 5 },
+          { min: 500000, max: 1000000, rate: 20 },
+          { min: 1000000, max: Infinity, rate: 30 }
+        ],
+        standardDeduction: 50000,
+        employerNPSPercent: 10,
+        rebate87A: { limit: 500000, maxRebate: 12500 },
+        surcharge: [
+          { threshold: 5000000, rate: 10 },
+          { threshold: 10000000, rate: 15 },
+          { threshold: 20000000, rate: 25 },
+          { threshold: 50000000, rate: 37 }
+        ]
+      },
+      cess: 4,
+      capitalGains: { ltcgRate: 12.5, stcgRate: 20, ltcgExemption: 125000, ltcgOtherRate: 12.5 }
     }
   },
 
@@ -42,44 +145,109 @@ const TaxCalculator = {
     parentsSenior: 50000
   },
 
-  // LTCG exemption
-  ltcgExemption: 125000,
-  ltcgRate: 12.5,
-  stcgRate: 20,
+  // Unabsorbed capital losses carry forward for 8 years
+  lossCarryForwardYears: 8,
 
   // Home loan deductions (old regime)
   homeLoan: {
     principalUnder80C: 150000, // Part of 80C
-    interestUnder24b: 200000 // Self-occupied
+    interestUnder24b: 200000, // Self-occupied
+    lossSetOffLimit: 200000 // House property loss against other income, 71(3A)
+  },
+
+  // HRA exemption, section 10(13A) (old regime)
+  hraExemption: {
+    metroPercent: 50, // Of basic + DA in Delhi, Mumbai, Kolkata, Chennai
+    nonMetroPercent: 40,
+    rentExcessPercent: 10 // Rent paid above this share of basic + DA
+  },
+
+  /**
+   * Financial years with a published rule set, latest first
+   */
+  getFinancialYears() {
+    return Object.keys(this.taxRules).sort().reverse();
+  },
+
+  /**
+   * Financial year whose rules apply: the year itself if published,
+   * else the latest published year
+   */
+  getRulesYear(financialYear = this.defaultFinancialYear) {
+    return this.taxRules[financialYear] ? financialYear : this.getFinancialYears()[0];
+  },
+
+  /**
+   * Label for a financial year, naming the rules used when they are
+   * borrowed from another year
+   */
+  describeFinancialYear(financialYear = this.defaultFinancialYear) {
+    const rulesYear = this.getRulesYear(financialYear);
+    return rulesYear === financialYear ? financialYear : `${financialYear} (${rulesYear} rules)`;
   },
 
   /**
-   * Calculate tax for a given income and regime
+   * Get the rule set for a financial year
+   */
+  getRules(financialYear = this.defaultFinancialYear) {
+    return this.taxRules[this.getRulesYear(financialYear)];
+  },
+
+  /**
+   * Calculate tax for a given income, regime and financial year
    */
   calculateTax(params) {
     const {
       grossIncome = 0,
+      salaryIncome = grossIncome, // Share of grossIncome from salary; caps the standard deduction
       regime = 'new',
       deductions80C = 0,
       deductions80D = 0,
       deductions80CCD = 0, // NPS additional
-      homeLoanInterest = 0,
-      hra = 0,
-      ltcg = 0,
-      stcg = 0
+      employerNPS = 0, // Employer NPS contribution, 80CCD(2)
+      basicAndDA = 0, // Annual basic + DA, caps employer NPS
+      homeLoanInterest = 0, // Self-occupied property, 24(b)
+      housePropertyIncome = 0, // Let-out property after 30% and interest; negative for a loss
+      hra = 0, // Pre-computed HRA exemption
+      hraDetails = null, // { basic, da, hraReceived, rentPaid, metro }, annual
+      ltcg = 0, // Listed equity, 112A
+      stcg = 0, // Listed equity, 111A
+      ltcgOther = 0, // Other assets, 112
+      stcgOther = 0, // Other assets, taxed at slab rates
+      broughtForwardLosses = [], // [{ financialYear, term, amount }]
+      taxPaid = 0, // TDS, TCS, advance and self-assessment tax already paid
+      financialYear = this.defaultFinancialYear
     } = params;
 
-    const slabConfig = this.taxSlabs[regime];
-    let taxableIncome = grossIncome;
+    const rules = this.getRules(financialYear);
+    const slabConfig = rules[regime];
+
+    // Set off capital losses before any gains are taxed
+    const lossSetOff = this.applyLossSetOff({
+      ltcg, stcg, ltcgOther, stcgOther, broughtForwardLosses, financialYear
+    });
+    const gains = lossSetOff.gains;
+
+    let taxableIncome = grossIncome + gains.stcgOther;
     const breakdown = {
       grossIncome,
       deductions: {},
-      exemptions: {}
+      exemptions: {},
+      capitalGains: { ...gains },
+      lossSetOff: lossSetOff.setOff
     };
 
-    // Apply standard deduction
-    taxableIncome -= slabConfig.standardDeduction;
-    breakdown.deductions.standardDeduction = slabConfig.standardDeduction;
+    // Apply standard deduction (salaried income only)
+    const standardDeduction = Math.min(slabConfig.standardDeduction, Math.max(0, salaryIncome));
+    taxableIncome -= standardDeduction;
+    breakdown.deductions.standardDeduction = standardDeduction;
+
+    // Employer NPS contribution (both regimes)
+    if (employerNPS > 0) {
+      const actual80CCD2 = Math.min(employerNPS, basicAndDA * (slabConfig.employerNPSPercent / 100));
+      taxableIncome -= actual80CCD2;
+      breakdown.deductions.section80CCD2 = actual80CCD2;
+    }
 
     // Old regime allows more deductions
     if (regime === 'old') {
@@ -100,72 +268,261 @@ const TaxCalculator = {
 
       // Home loan interest (24b)
       const actualHomeLoan = Math.min(homeLoanInterest, this.homeLoan.interestUnder24b);
-      taxableIncome -= actualHomeLoan;
       breakdown.deductions.homeLoanInterest = actualHomeLoan;
 
-      // HRA exemption (simplified)
-      if (hra > 0) {
-        taxableIncome -= hra;
-        breakdown.exemptions.hra = hra;
+      // HRA exemption from the salary structure when available
+      const hraExempt = hraDetails ? this.calculateHRAExemption(hraDetails).exemption : hra;
+      if (hraExempt > 0) {
+        taxableIncome -= hraExempt;
+        breakdown.exemptions.hra = hraExempt;
       }
     }
 
+    // Income from house property: a loss offsets other income up to the
+    // set-off limit in the old regime and not at all in the new one
+    const houseProperty = this.calculateHousePropertyHead({
+      housePropertyIncome,
+      selfOccupiedInterest: regime === 'old' ? breakdown.deductions.homeLoanInterest : 0,
+      regime
+    });
+    taxableIncome += houseProperty.income;
+    breakdown.houseProperty = houseProperty;
+
     // Calculate base tax
     taxableIncome = Math.max(0, taxableIncome);
     breakdown.taxableIncome = taxableIncome;
 
-    let baseTax = 0;
-    for (const slab of slabConfig.slabs) {
-      if (taxableIncome > slab.min) {
-        const taxableInSlab = Math.min(taxableIncome - slab.min, slab.max - slab.min);
-        baseTax += taxableInSlab * (slab.rate / 100);
-      }
-    }
+    let baseTax = this.calculateSlabTax(taxableIncome, slabConfig.slabs);
+    breakdown.marginalRelief = { rebate87A: 0, surcharge: 0 };
 
     // Apply rebate 87A
-    if (taxableIncome <= slabConfig.rebate87A.limit) {
-      const rebate = Math.min(baseTax, slabConfig.rebate87A.maxRebate);
+    const rebateRule = slabConfig.rebate87A;
+    if (taxableIncome <= rebateRule.limit) {
+      const rebate = Math.min(baseTax, rebateRule.maxRebate);
       baseTax -= rebate;
       breakdown.rebate87A = rebate;
+    } else if (rebateRule.marginalRelief) {
+      // Tax cannot exceed the income earned above the rebate limit
+      const excessIncome = taxableIncome - rebateRule.limit;
+      if (baseTax > excessIncome) {
+        breakdown.marginalRelief.rebate87A = baseTax - excessIncome;
+        baseTax = excessIncome;
+      }
     }
 
-    // Add surcharge if applicable
+    // Add surcharge if applicable (highest band crossed)
     let surcharge = 0;
-    if (taxableIncome > 5000000 && taxableIncome <= 10000000) {
-      surcharge = baseTax * 0.10;
-    } else if (taxableIncome > 10000000 && taxableIncome <= 20000000) {
-      surcharge = baseTax * 0.15;
-    } else if (taxableIncome > 20000000 && taxableIncome <= 50000000) {
-      surcharge = baseTax * 0.25;
-    } else if (taxableIncome > 50000000) {
-      surcharge = baseTax * 0.37;
+    const bands = slabConfig.surcharge;
+    for (let i = bands.length - 1; i >= 0; i--) {
+      const band = bands[i];
+      if (taxableIncome <= band.threshold) continue;
+
+      surcharge = baseTax * (band.rate / 100);
+
+      // Marginal relief: tax + surcharge cannot exceed the tax at the
+      // threshold (with the lower band's surcharge) plus income above it
+      const previousRate = i > 0 ? bands[i - 1].rate : 0;
+      const taxAtThreshold = this.calculateSlabTax(band.threshold, slabConfig.slabs) *
+        (1 + previousRate / 100);
+      const maxTax = taxAtThreshold + (taxableIncome - band.threshold);
+      if (baseTax + surcharge > maxTax) {
+        const relief = Math.min(surcharge, baseTax + surcharge - maxTax);
+        breakdown.marginalRelief.surcharge = relief;
+        surcharge -= relief;
+      }
+      break;
     }
 
-    // Add health & education cess (4%)
-    const cess = (baseTax + surcharge) * 0.04;
+    // Add health & education cess
+    const cess = (baseTax + surcharge) * (rules.cess / 100);
 
     // Capital gains tax (separate)
+    const { ltcgRate, stcgRate, ltcgExemption, ltcgOtherRate } = rules.capitalGains;
     let capitalGainsTax = 0;
-    if (ltcg > 0) {
-      const taxableLTCG = Math.max(0, ltcg - this.ltcgExemption);
-      capitalGainsTax += taxableLTCG * (this.ltcgRate / 100);
+    if (gains.ltcg > 0) {
+      const taxableLTCG = Math.max(0, gains.ltcg - ltcgExemption);
+      capitalGainsTax += taxableLTCG * (ltcgRate / 100);
     }
-    if (stcg > 0) {
-      capitalGainsTax += stcg * (this.stcgRate / 100);
+    if (gains.stcg > 0) {
+      capitalGainsTax += gains.stcg * (stcgRate / 100);
+    }
+    if (gains.ltcgOther > 0) {
+      capitalGainsTax += gains.ltcgOther * (ltcgOtherRate / 100);
     }
 
     const totalTax = baseTax + surcharge + cess + capitalGainsTax;
 
     return {
       regime,
+      financialYear,
+      rulesYear: this.getRulesYear(financialYear),
       breakdown,
       baseTax: Math.round(baseTax),
       surcharge: Math.round(surcharge),
+      marginalRelief: Math.round(breakdown.marginalRelief.rebate87A + breakdown.marginalRelief.surcharge),
       cess: Math.round(cess),
       capitalGainsTax: Math.round(capitalGainsTax),
       totalTax: Math.round(totalTax),
       effectiveRate: grossIncome > 0 ? Math.round((totalTax / grossIncome) * 10000) / 100 : 0,
-      monthlyTax: Math.round(totalTax / 12)
+      monthlyTax: Math.round(totalTax / 12),
+      lossesCarriedForward: lossSetOff.carryForward,
+      taxPaid: Math.round(taxPaid),
+      // Positive: still payable; negative: refundable
+      netPayable: Math.round(totalTax - taxPaid),
+      refund: Math.round(Math.max(0, taxPaid - totalTax))
+    };
+  },
+
+  /**
+   * Net income under the head house property, after loss set-off
+   * Returns the amount added to taxable income and any loss left unabsorbed
+   */
+  calculateHousePropertyHead({ housePropertyIncome = 0, selfOccupiedInterest = 0, regime = 'new' }) {
+    const net = housePropertyIncome - selfOccupiedInterest;
+    const income = regime === 'old' ? Math.max(net, -this.homeLoan.lossSetOffLimit) : Math.max(net, 0);
+
+    return {
+      net,
+      income,
+      unabsorbedLoss: Math.max(0, income - net)
+    };
+  },
+
+  /**
+   * Set off capital losses against capital gains
+   * - Short-term losses absorb short-term gains, then long-term gains
+   * - Long-term losses absorb long-term gains only
+   * - Current-year losses go first, then brought-forward losses, oldest first
+   * - Unabsorbed losses carry forward for 8 years
+   * Negative gain amounts are treated as current-year losses
+   * unabsorbed lists every loss still usable this year, including those in
+   * their final year that drop out of carryForward
+   */
+  applyLossSetOff(params) {
+    const {
+      ltcg = 0,
+      stcg = 0,
+      ltcgOther = 0,
+      stcgOther = 0,
+      broughtForwardLosses = [],
+      financialYear = this.defaultFinancialYear
+    } = params;
+
+    // Buckets are listed in the order they absorb losses: slab-taxed
+    // and non-exempt gains first, exempt-eligible 112A gains last
+    const gains = {
+      stcgOther: Math.max(0, stcgOther),
+      stcg: Math.max(0, stcg),
+      ltcgOther: Math.max(0, ltcgOther),
+      ltcg: Math.max(0, ltcg)
+    };
+    const targets = {
+      short: ['stcgOther', 'stcg', 'ltcgOther', 'ltcg'],
+      long: ['ltcgOther', 'ltcg']
+    };
+
+    const setOff = [];
+    const carryForward = [];
+    const unabsorbed = [];
+
+    const absorb = (loss) => {
+      let remaining = loss.amount;
+      for (const key of targets[loss.term]) {
+        const used = Math.min(remaining, gains[key]);
+        if (used <= 0) continue;
+        gains[key] -= used;
+        remaining -= used;
+        setOff.push({ financialYear: loss.financialYear, term: loss.term, against: key, amount: Math.round(used) });
+      }
+      return remaining;
+    };
+
+    const yearOf = (fy) => parseInt(fy, 10);
+    const age = (fy) => yearOf(financialYear) - yearOf(fy);
+
+    // Current-year losses
+    const currentLosses = [
+      { financialYear, term: 'short', amount: Math.max(0, -stcg) + Math.max(0, -stcgOther) },
+      { financialYear, term: 'long', amount: Math.max(0, -ltcg) + Math.max(0, -ltcgOther) }
+    ];
+    currentLosses.forEach(loss => {
+      if (loss.amount <= 0) return;
+      const remaining = absorb(loss);
+      if (remaining > 0) {
+        carryForward.push({ ...loss, amount: Math.round(remaining) });
+        unabsorbed.push({ ...loss, amount: Math.round(remaining), expiring: false });
+      }
+    });
+
+    // Brought-forward losses that have not expired
+    broughtForwardLosses
+      .filter(loss => loss.amount > 0 && age(loss.financialYear) > 0 && age(loss.financialYear) <= this.lossCarryForwardYears)
+      .sort((a, b) => yearOf(a.financialYear) - yearOf(b.financialYear))
+      .forEach(loss => {
+        const remaining = absorb(loss);
+        if (remaining <= 0) return;
+        const expiring = age(loss.financialYear) === this.lossCarryForwardYears;
+        unabsorbed.push({ financialYear: loss.financialYear, term: loss.term, amount: Math.round(remaining), expiring });
+        if (!expiring) {
+          carryForward.push({ financialYear: loss.financialYear, term: loss.term, amount: Math.round(remaining) });
+        }
+      });
+
+    carryForward.sort((a, b) => yearOf(a.financialYear) - yearOf(b.financialYear));
+    unabsorbed.sort((a, b) => yearOf(a.financialYear) - yearOf(b.financialYear));
+
+    return { gains, setOff, carryForward, unabsorbed };
+  },
+
+  /**
+   * Calculate slab tax on an income (before rebate, surcharge and cess)
+   */
+  calculateSlabTax(income, slabs) {
+    let tax = 0;
+    for (const slab of slabs) {
+      if (income > slab.min) {
+        const taxableInSlab = Math.min(income - slab.min, slab.max - slab.min);
+        tax += taxableInSlab * (slab.rate / 100);
+      }
+    }
+    return tax;
+  },
+
+  /**
+   * HRA exemption under section 10(13A), all amounts annual
+   * Exempt amount is the least of:
+   * - HRA actually received
+   * - Rent paid minus 10% of basic + DA
+   * - 50% of basic + DA in a metro city, 40% elsewhere
+   */
+  calculateHRAExemption(params) {
+    const {
+      basic = 0,
+      da = 0,
+      hraReceived = 0,
+      rentPaid = 0,
+      metro = false
+    } = params;
+
+    const salary = basic + da;
+    const limits = {
+      hraReceived,
+      rentInExcess: Math.max(0, rentPaid - salary * (this.hraExemption.rentExcessPercent / 100)),
+      percentOfSalary: salary * ((metro ? this.hraExemption.metroPercent : this.hraExemption.nonMetroPercent) / 100)
+    };
+
+    const exemption = Math.max(0, Math.min(limits.hraReceived, limits.rentInExcess, limits.percentOfSalary));
+    const binding = Object.keys(limits).find(key => limits[key] === Math.min(...Object.values(limits)));
+
+    return {
+      exemption: Math.round(exemption),
+      taxableHRA: Math.round(Math.max(0, hraReceived - exemption)),
+      limits: {
+        hraReceived: Math.round(limits.hraReceived),
+        rentInExcess: Math.round(limits.rentInExcess),
+        percentOfSalary: Math.round(limits.percentOfSalary)
+      },
+      binding
     };
   },
 
@@ -237,26 +594,83 @@ const TaxCalculator = {
   },
 
   /**
-   * Calculate LTCG tax harvesting opportunity
+   * Calculate tax harvesting opportunity
+   * Gain harvesting: book LTCG up to the unused exemption (plus any
+   * brought-forward losses that would absorb it)
+   * Loss harvesting: book unrealized losses to offset taxable gains
    */
   calculateHarvestingOpportunity(params) {
     const {
-      realizedGains = 0,
-      unrealizedGains = 0
+      realizedGains = 0, // Listed equity LTCG realized this FY
+      realizedShortTermGains = 0, // Listed equity STCG realized this FY
+      realizedOtherGains = 0, // Other LTCG this FY (negative: a loss)
+      realizedOtherShortTermGains = 0, // Other STCG this FY (negative: a loss)
+      unrealizedGains = 0, // Long-term unrealized equity gains
+      unrealizedShortTermLosses = 0,
+      unrealizedLongTermLosses = 0,
+      broughtForwardLosses = [],
+      financialYear = this.defaultFinancialYear
     } = params;
 
-    const remainingExemption = Math.max(0, this.ltcgExemption - realizedGains);
-    const harvestingOpportunity = Math.min(remainingExemption, unrealizedGains);
-    const taxSaved = harvestingOpportunity * (this.ltcgRate / 100);
+    const { ltcgExemption, ltcgRate, stcgRate } = this.getRules(financialYear).capitalGains;
+
+    // Realized position after this year's and brought-forward losses
+    const position = this.applyLossSetOff({
+      ltcg: realizedGains,
+      stcg: realizedShortTermGains,
+      ltcgOther: realizedOtherGains,
+      stcgOther: realizedOtherShortTermGains,
+      broughtForwardLosses,
+      financialYear
+    });
+    const netLTCG = position.gains.ltcg;
+    const netSTCG = position.gains.stcg;
+    // Any loss left over would absorb newly booked LTCG first, including
+    // losses in their final year that would otherwise lapse
+    const unusedLosses = position.unabsorbed.reduce((sum, loss) => sum + loss.amount, 0);
+
+    // Gain harvesting
+    const remainingExemption = Math.max(0, ltcgExemption - netLTCG);
+    const harvestingOpportunity = Math.min(remainingExemption + unusedLosses, unrealizedGains);
+    const taxSaved = harvestingOpportunity * (ltcgRate / 100);
+
+    // Loss harvesting: short-term losses absorb STCG first, then taxable LTCG
+    const taxableLTCG = Math.max(0, netLTCG - ltcgExemption);
+    const stclAgainstSTCG = Math.min(unrealizedShortTermLosses, netSTCG);
+    const stclAgainstLTCG = Math.min(unrealizedShortTermLosses - stclAgainstSTCG, taxableLTCG);
+    const ltclAgainstLTCG = Math.min(unrealizedLongTermLosses, taxableLTCG - stclAgainstLTCG);
+    const lossTaxSaved = stclAgainstSTCG * (stcgRate / 100) +
+      (stclAgainstLTCG + ltclAgainstLTCG) * (ltcgRate / 100);
+    const lossHarvesting = {
+      bookShortTermLoss: Math.round(stclAgainstSTCG + stclAgainstLTCG),
+      bookLongTermLoss: Math.round(ltclAgainstLTCG),
+      taxSaved: Math.round(lossTaxSaved),
+      // Losses beyond this year's gains still carry forward for 8 years
+      carryForwardPotential: Math.round(
+        unrealizedShortTermLosses + unrealizedLongTermLosses - stclAgainstSTCG - stclAgainstLTCG - ltclAgainstLTCG
+      )
+    };
+
+    const recommendations = [];
+    if (harvestingOpportunity > 0) {
+      recommendations.push(`Consider selling ₹${Math.round(harvestingOpportunity).toLocaleString('en-IN')} worth of gains to save ₹${Math.round(taxSaved).toLocaleString('en-IN')} in taxes`);
+    }
+    if (lossHarvesting.taxSaved > 0) {
+      recommendations.push(`Book ₹${(lossHarvesting.bookShortTermLoss + lossHarvesting.bookLongTermLoss).toLocaleString('en-IN')} of losses to save ₹${lossHarvesting.taxSaved.toLocaleString('en-IN')} on realized gains`);
+    }
 
     return {
-      exemptionLimit: this.ltcgExemption,
-      usedExemption: Math.min(realizedGains, this.ltcgExemption),
+      exemptionLimit: ltcgExemption,
+      usedExemption: Math.min(netLTCG, ltcgExemption),
       remainingExemption,
-      harvestingOpportunity,
+      broughtForwardLossesAvailable: Math.round(unusedLosses),
+      // Lapses after this FY if no gains are booked against it
+      expiringLosses: Math.round(position.unabsorbed.filter(loss => loss.expiring).reduce((sum, loss) => sum + loss.amount, 0)),
+      harvestingOpportunity: Math.round(harvestingOpportunity),
       taxSaved: Math.round(taxSaved),
-      recommendation: harvestingOpportunity > 0
-        ? `Consider selling ₹${harvestingOpportunity.toLocaleString('en-IN')} worth of gains to save ₹${Math.round(taxSaved).toLocaleString('en-IN')} in taxes`
+      lossHarvesting,
+      recommendation: recommendations.length > 0
+        ? recommendations.join('. ')
         : 'LTCG exemption already utilized'
     };
   },
@@ -264,8 +678,8 @@ const TaxCalculator = {
   /**
    * Get tax bracket for a given income
    */
-  getTaxBracket(grossIncome, regime = 'new') {
-    const slabs = this.taxSlabs[regime].slabs;
+  getTaxBracket(grossIncome, regime = 'new', financialYear = this.defaultFinancialYear) {
+    const slabs = this.getRules(financialYear)[regime].slabs;
     for (let i = slabs.length - 1; i >= 0; i--) {
       if (grossIncome > slabs[i].min) {
         return slabs[i].rate;
@@ -275,31 +689,36 @@ const TaxCalculator = {
   },
 
   /**
-   * Calculate Section 80C utilization
+   * Calculate 80C, 80CCD(1B) and 80D utilization for an entity
+   * Eligible amounts come from TaxDeductions (assets, contributions,
+   * home loan principal, insurance and tuition)
    */
-  calculate80CUtilization(investments) {
-    const eligible80C = ['ppf', 'elss', 'li-premium', 'nsc', 'tuition', 'home-loan-principal', 'epf'];
-    
-    let total = 0;
-    const breakdown = {};
-
-    for (const inv of investments) {
-      if (eligible80C.includes(inv.type)) {
-        const amount = inv.annualAmount || inv.amount * 12;
-        total += amount;
-        breakdown[inv.type] = (breakdown[inv.type] || 0) + amount;
-      }
-    }
+  calculate80CUtilization(entity, financialYear = this.defaultFinancialYear) {
+    const derived = TaxDeductions.derive(entity, financialYear);
+    const limits = {
+      section80C: this.section80CLimit,
+      section80CCD1B: TaxDeductions.section80CCD1BLimit,
+      section80D: this.section80D.self + this.section80D.parents
+    };
 
-    const utilized = Math.min(total, this.section80CLimit);
-    const remaining = this.section80CLimit - utilized;
+    const sections = {};
+    Object.entries(limits).forEach(([section, limit]) => {
+      const totalEligible = derived[section];
+      const utilized = Math.min(totalEligible, limit);
+      sections[section] = {
+        limit,
+        totalEligible,
+        utilized,
+        remaining: limit - utilized,
+        breakdown: derived.sources[section]
+      };
+    });
+
+    const remaining = sections.section80C.remaining;
 
     return {
-      limit: this.section80CLimit,
-      totalEligible: total,
-      utilized,
-      remaining,
-      breakdown,
+      ...sections.section80C,
+      sections,
       recommendation: remaining > 0
         ? `You can invest ₹${remaining.toLocaleString('en-IN')} more in 80C instruments`
         : '80C limit fully utilized ✓'
@@ -309,9 +728,9 @@ const TaxCalculator = {
   /**
    * Check for tax bracket change alert
    */
-  checkTaxBracketChange(previousIncome, newIncome, regime = 'new') {
-    const previousBracket = this.getTaxBracket(previousIncome * 12, regime);
-    const newBracket = this.getTaxBracket(newIncome * 12, regime);
+  checkTaxBracketChange(previousIncome, newIncome, regime = 'new', financialYear = this.defaultFinancialYear) {
+    const previousBracket = this.getTaxBracket(previousIncome * 12, regime, financialYear);
+    const newBracket = this.getTaxBracket(newIncome * 12, regime, financialYear);
 
     if (newBracket > previousBracket) {
       return {
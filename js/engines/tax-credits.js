@@ -0,0 +1,163 @@
+/**
+ * Pro-Finance Tax Credits
+ * TDS, TCS and tax already paid, plus Form 26AS / AIS import
+ */
+
+const TaxCredits = {
+  types: {
+    tds: { name: 'TDS', icon: '🏢' },
+    tcs: { name: 'TCS', icon: '🧾' },
+    'advance-tax': { name: 'Advance Tax', icon: '📅' },
+    'self-assessment': { name: 'Self-Assessment Tax', icon: '✅' }
+  },
+
+  // Challan minor heads in Form 26AS Part C
+  minorHeads: {
+    100: 'advance-tax',
+    300: 'self-assessment'
+  },
+
+  /**
+   * Credits recorded for an entity in a financial year
+   */
+  getCredits(entity, financialYear) {
+    return (entity.taxCredits || []).filter(credit => credit.financialYear === financialYear);
+  },
+
+  /**
+   * Totals by type for a financial year
+   */
+  summarize(entity, financialYear) {
+    const summary = { tds: 0, tcs: 0, advanceTax: 0, selfAssessment: 0, total: 0 };
+    const keys = { tds: 'tds', tcs: 'tcs', 'advance-tax': 'advanceTax', 'self-assessment': 'selfAssessment' };
+
+    this.getCredits(entity, financialYear).forEach(credit => {
+      summary[keys[credit.type]] += credit.amount;
+      summary.total += credit.amount;
+    });
+
+    return summary;
+  },
+
+  /**
+   * Financial year ('2025-26') for an assessment year ('2026-27' or 2026)
+   */
+  assessmentToFinancialYear(assessmentYear) {
+    const startYear = parseInt(String(assessmentYear), 10) - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  },
+
+  /**
+   * Read the first present key, ignoring case, spaces and underscores
+   */
+  pick(record, ...keys) {
+    const normalize = (key) => key.toLowerCase().replace(/[\s_]/g, '');
+    const lookup = {};
+    Object.keys(record || {}).forEach(key => { lookup[normalize(key)] = record[key]; });
+
+    for (const key of keys) {
+      const value = lookup[normalize(key)];
+      if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+  },
+
+  /**
+   * Parse an amount such as "1,23,456.00"
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') return value;
+    return parseFloat(String(value || '').replace(/[₹,\s]/g, '')) || 0;
+  },
+
+  /**
+   * Parse a date in DD-MMM-YYYY, DD/MM/YYYY or ISO form to 'YYYY-MM-DD'
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    const dmy = text.match(/^(\d{1,2})[-/](\d{1,2}|[A-Za-z]{3})[-/](\d{4})$/);
+    if (dmy) {
+      const month = isNaN(dmy[2])
+        ? CashFlow.monthNames.findIndex(m => m.toLowerCase() === dmy[2].toLowerCase()) + 1
+        : parseInt(dmy[2], 10);
+      if (month < 1) return null;
+      return `${dmy[3]}-${String(month).padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+    }
+
+    const date = new Date(text);
+    return isNaN(date) ? null : date.toISOString().substring(0, 10);
+  },
+
+  /**
+   * Parse a Form 26AS or AIS JSON export into ledger entries
+   *
+   * Accepts the portal exports and close variants:
+   * - Form 26AS: PartA (TDS) and PartB (TCS) by deductor, each with its
+   *   transactions, and PartC challans (minor head 100 advance tax,
+   *   300 self-assessment)
+   * - AIS: TDS/TCS entries with deductor name, TAN and amount deducted
+   * TDS/TCS rows take their financial year from the row's date; challans
+   * use the statement's assessment year, since self-assessment tax is paid
+   * after the year ends
+   */
+  parseStatement(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const source = this.pick(data, 'PartA', 'PartC', 'Form26AS') !== undefined ? '26as' : 'ais';
+    const root = this.pick(data, 'Form26AS') || data;
+    const assessmentYear = this.pick(root, 'AssessmentYear', 'AY', 'assessment_year');
+    const fallbackYear = assessmentYear ? this.assessmentToFinancialYear(assessmentYear) : null;
+
+    const toList = (value) => Array.isArray(value) ? value : (value ? [value] : []);
+    const credits = [];
+
+    const addCredit = (type, row, parent = {}, useStatementYear = false) => {
+      const amount = this.parseAmount(this.pick(row,
+        'TaxDeducted', 'TDSDeposited', 'TaxCollected', 'TCSDeposited', 'TotalTaxDeducted',
+        'TotalTaxCollected', 'TotalTax', 'TaxAmount', 'Amount', 'Total'));
+      if (amount <= 0) return;
+
+      const date = this.parseDate(this.pick(row,
+        'TransactionDate', 'DateOfDeduction', 'DateOfCollection', 'DateOfDeposit', 'Date'));
+      const financialYear = (useStatementYear && fallbackYear) ||
+        (date ? CapitalGains.getFinancialYear(date) : fallbackYear);
+      if (!financialYear) return;
+
+      credits.push({
+        financialYear,
+        type,
+        name: this.pick(row, 'NameOfDeductor', 'NameOfCollector', 'DeductorName', 'Name') ||
+          this.pick(parent, 'NameOfDeductor', 'NameOfCollector', 'DeductorName', 'Name') ||
+          this.types[type].name,
+        tan: this.pick(row, 'TANOfDeductor', 'TANOfCollector', 'TAN') ||
+          this.pick(parent, 'TANOfDeductor', 'TANOfCollector', 'TAN') || null,
+        amount,
+        date,
+        source
+      });
+    };
+
+    // Deductor blocks may list transactions; otherwise the block is one row
+    const addDeductorBlocks = (type, blocks) => {
+      toList(blocks).forEach(block => {
+        const transactions = toList(this.pick(block, 'Transactions', 'TransactionDetails', 'Details'));
+        if (transactions.length > 0) {
+          transactions.forEach(row => addCredit(type, row, block));
+        } else {
+          addCredit(type, block);
+        }
+      });
+    };
+
+    addDeductorBlocks('tds', this.pick(root, 'PartA', 'TDS', 'TDSDetails', 'TDSInformation'));
+    addDeductorBlocks('tcs', this.pick(root, 'PartB', 'TCS', 'TCSDetails', 'TCSInformation'));
+
+    toList(this.pick(root, 'PartC', 'TaxPaid', 'TaxPayments', 'Challans')).forEach(challan => {
+      const minorHead = parseInt(this.pick(challan, 'MinorHead', 'MinorHeadCode'), 10);
+      addCredit(this.minorHeads[minorHead] || 'self-assessment', challan, {}, true);
+    });
+
+    return credits;
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Pro-Finance Tax Deductions
+ * Chapter VI-A and home loan deductions derived from an entity's data
+ */
+
+const TaxDeductions = {
+  // 80CCD(1B): NPS contributions over and above 80C
+  section80CCD1BLimit: 50000,
+
+  /**
+   * Investments made during a financial year in each asset
+   * Purchase lots dated within the year, or the year's recurring
+   * contributions if higher (SIP installments may also be logged as lots)
+   */
+  getAssetInvestments(entity, financialYear) {
+    return (entity.assets || []).map(asset => {
+      const defaults = Models.getAssetDefaults(asset.assetType);
+      const purchased = (asset.lots || [])
+        .filter(lot => lot.date && CapitalGains.getFinancialYear(lot.date) === financialYear)
+        .reduce((sum, lot) => sum + lot.cost, 0);
+      const contributed = asset.contribution ? CashFlow.getAnnualAmount(asset.contribution, financialYear) : 0;
+      return { name: asset.name, assetType: asset.assetType, defaults, amount: Math.max(purchased, contributed) };
+    }).filter(investment => investment.amount > 0);
+  },
+
+  /**
+   * Annual home loan interest and principal for the next 12 EMIs
+   * Loans linked to a property are left to HouseProperty, which splits
+   * them among co-owners
+   */
+  getHomeLoanRepayment(entity, entities = Store.get('entities') || []) {
+    const linked = HouseProperty.getLinkedLoanIds(entities);
+    return (entity.liabilities || [])
+      .filter(liability => liability.loanType === 'home' && !linked.includes(liability.id))
+      .map(liability => ({ name: liability.name, ...DebtSnowball.getAnnualSplit(liability) }));
+  },
+
+  /**
+   * Derive deductions by section, each with the sources that make it up
+   * Amounts are before section limits; TaxCalculator applies the caps
+   */
+  derive(entity, financialYear, entities = Store.get('entities') || []) {
+    const declared = entity.taxDeductions || {};
+    const sections = {
+      section80C: [],
+      section80CCD1B: [],
+      section80D: [],
+      homeLoanInterest: []
+    };
+    const add = (section, name, amount) => {
+      if (amount > 0) sections[section].push({ name, amount: Math.round(amount) });
+    };
+
+    // Assets flagged section80C / section80CCD in Models.assetTypes
+    this.getAssetInvestments(entity, financialYear).forEach(investment => {
+      if (investment.defaults.section80C) {
+        add('section80C', investment.name, investment.amount);
+      } else if (investment.defaults.section80CCD) {
+        // NPS: 80CCD(1B) first, any excess counts under 80C as 80CCD(1)
+        const additional = Math.min(investment.amount, this.section80CCD1BLimit);
+        add('section80CCD1B', investment.name, additional);
+        add('section80C', `${investment.name} (80CCD(1))`, investment.amount - additional);
+      }
+    });
+
+    // Employee EPF from salary structures
+    add('section80C', 'Employee EPF', Salary.getContributions(entity).employeeEPF * 12);
+
+    // Expenses with a tax section: life insurance and tuition under 80C,
+    // health insurance under 80D
+    (entity.expenses || []).forEach(expense => {
+      const section = Models.getExpenseCategory(expense.category).taxSection;
+      if (section === '80C') add('section80C', expense.name, CashFlow.getAnnualAmount(expense, financialYear));
+      if (section === '80D') add('section80D', expense.name, CashFlow.getAnnualAmount(expense, financialYear));
+    });
+
+    // Home loans: principal under 80C, interest under 24(b)
+    this.getHomeLoanRepayment(entity, entities).forEach(loan => {
+      add('section80C', `${loan.name} (principal)`, loan.principal);
+      add('homeLoanInterest', loan.name, loan.interest);
+    });
+
+    // Own share of loans on co-owned property; let-out interest is
+    // netted against rent in HouseProperty instead
+    HouseProperty.calculateEntity(entity, financialYear, entities).properties.forEach(property => {
+      add('section80C', `${property.name} (principal, ${property.share}%)`, property.principal);
+      if (property.occupancy !== 'let-out') {
+        add('homeLoanInterest', `${property.name} (${property.share}%)`, property.interest);
+      }
+    });
+
+    // Amounts declared by hand (e.g. investments not tracked as assets)
+    add('section80C', 'Declared', declared.section80C || 0);
+    add('section80CCD1B', 'Declared', declared.section80CCD || 0);
+    add('section80D', 'Declared', declared.section80D || 0);
+    add('homeLoanInterest', 'Declared', declared.homeLoanInterest || 0);
+
+    const total = (section) => sections[section].reduce((sum, s) => sum + s.amount, 0);
+    return {
+      section80C: total('section80C'),
+      section80CCD1B: total('section80CCD1B'),
+      section80D: total('section80D'),
+      homeLoanInterest: total('homeLoanInterest'),
+      sources: sections
+    };
+  }
+};
@@ -100,6 +100,26 @@ const Persistence = {
     URL.revokeObjectURL(url);
   },
 
+  /**
+   * Read and parse a JSON file
+   */
+  async readJSONFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      
+      reader.onload = (e) => {
+        try {
+          resolve(JSON.parse(e.target.result));
+        } catch (err) {
+          reject(err);
+        }
+      };
+      
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsText(file);
+    });
+  },
+
   /**
    * Import data from file
    */
@@ -9,9 +9,14 @@ const Store = {
     configuration: {
       taxRegime: 'new', // 'old' | 'new'
       inflationRate: 6,
-      financialYear: '2025-26',
+      financialYear: null, // null follows the calendar (TaxCalculator.defaultFinancialYear)
       currency: 'INR',
-      monteCarloIterations: 1000
+      monteCarloIterations: 1000,
+      monteCarloSeed: 20250401, // Same seed, same inputs: same probabilities
+      assetCorrelations: {}, // Overrides of MonteCarlo.defaultCorrelations
+      returnModels: {}, // Overrides of MonteCarlo.defaultReturnModels
+      retirementGuardrails: null, // e.g. MonteCarlo.defaultGuardrails; null for fixed withdrawals
+      stochasticInflation: true // Inflate targets along each simulated path (MonteCarlo.defaultInflationModel)
     },
     entities: [
       {
@@ -26,7 +31,9 @@ const Store = {
       }
     ],
     goals: [],
+    planSimulation: null, // Latest MonteCarlo.simulatePlan result
     notifications: [],
+    sentReminders: [], // Keys of scheduled reminders already fired
     lastUpdated: null,
     previousMonthlyIncome: null // For detecting salary hikes
   },
@@ -37,6 +44,9 @@ const Store = {
   // Subscribers for reactive updates
   subscribers: new Map(),
 
+  // Latest simulation run per goal id ({ params, done }), while a worker run is in flight
+  pendingSimulations: new Map(),
+
   /**
    * Initialize the store
    */
@@ -44,6 +54,11 @@ const Store = {
     const savedState = Persistence.load();
     this.state = savedState || JSON.parse(JSON.stringify(this.defaultState));
     this.state.lastUpdated = new Date().toISOString();
+    // Simulations interrupted by a reload run again
+    this.state.goals
+      .filter(goal => goal.simulationPending || goal.decumulationPending)
+      .forEach(goal => this.calculateGoalMetrics(goal));
+    if (this.state.planSimulation?.pending) this.simulatePlan();
     this.notifyAll();
     console.log('Store initialized:', this.state);
   },
@@ -106,6 +121,10 @@ const Store = {
       type: entity.type || 'individual',
       initials: entity.initials || entity.name.substring(0, 2).toUpperCase(),
       linkedTo: entity.linkedTo || 'user',
+      taxRegime: entity.taxRegime || null, // null = household default
+      taxDeductions: entity.taxDeductions || {},
+      capitalLossLedger: [],
+      taxCredits: [],
       incomeStreams: [],
       expenses: [],
       assets: [],
@@ -124,12 +143,20 @@ const Store = {
     const entity = this.getEntity(entityId);
     if (!entity) throw new Error(`Entity ${entityId} not found`);
     
+    const salaryStructure = income.salaryStructure ? this.createSalaryStructure(income.salaryStructure) : null;
     const newIncome = {
       id: `income-${Date.now()}`,
       name: income.name,
-      amount: parseFloat(income.amount),
+      // A salary structure determines the monthly amount
+      amount: salaryStructure ? Salary.getMonthlyAmount(salaryStructure) : parseFloat(income.amount),
       type: income.type || 'salary',
       taxable: income.taxable !== false,
+      // Structured salaries are monthly; bonus timing lives in the structure
+      ...this.createSchedule(salaryStructure ? { frequency: 'monthly' } : income),
+      salaryStructure,
+      businessDetails: BusinessIncome.types.includes(income.type) ? this.createBusinessDetails(income) : null,
+      propertyId: income.propertyId || null, // Rent from a let-out property
+      growthRate: this.parseGrowthRate(income.growthRate),
       createdAt: new Date().toISOString()
     };
     
@@ -140,6 +167,70 @@ const Store = {
     return newIncome;
   },
 
+  /**
+   * Normalize frequency and due dates for an income or expense
+   * Recurring items get dueMonths (1-12) from the first due month;
+   * one-off items get a dueDate ('YYYY-MM')
+   */
+  createSchedule(item) {
+    const frequency = Models.frequencies[item.frequency] ? item.frequency : 'monthly';
+    const now = new Date();
+
+    if (frequency === 'one-off') {
+      const dueDate = item.dueDate ||
+        `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+      return { frequency, dueMonths: null, dueDate };
+    }
+
+    const firstMonth = parseInt(item.dueMonth) || (item.dueMonths && item.dueMonths[0]) || now.getMonth() + 1;
+    return {
+      frequency,
+      dueMonths: CashFlow.getDueMonths(frequency, firstMonth),
+      dueDate: null
+    };
+  },
+
+  /**
+   * Normalize how business or freelance receipts are taxed
+   * - scheme: '44ADA', '44AD' or 'regular' (books); presumptive by default
+   * - digitalPercent: share of receipts by bank or digital modes (44AD rate)
+   * - expenses: annual expenses claimed under regular books
+   */
+  createBusinessDetails(income) {
+    const requested = income.taxScheme || income.scheme;
+    const scheme = requested === 'regular' || requested === '44ADA' || requested === '44AD'
+      ? requested
+      : BusinessIncome.getDefaultScheme(income.type);
+    const digitalPercent = parseFloat(income.digitalPercent);
+
+    return {
+      scheme,
+      digitalPercent: isNaN(digitalPercent) ? 100 : digitalPercent,
+      expenses: parseFloat(income.businessExpenses ?? income.expenses) || 0
+    };
+  },
+
+  /**
+   * Normalize a salary structure (monthly amounts)
+   */
+  createSalaryStructure(structure) {
+    const employeeEPF = parseFloat(structure.employeeEPF);
+    return {
+      basic: parseFloat(structure.basic) || 0,
+      da: parseFloat(structure.da) || 0,
+      hra: parseFloat(structure.hra) || 0,
+      specialAllowance: parseFloat(structure.specialAllowance) || 0,
+      employerEPF: parseFloat(structure.employerEPF) || 0,
+      employeeEPF: isNaN(employeeEPF) ? null : employeeEPF,
+      employerNPS: parseFloat(structure.employerNPS) || 0,
+      gratuity: parseFloat(structure.gratuity) || 0,
+      variablePay: parseFloat(structure.variablePay) || 0, // Annual
+      bonusMonth: parseInt(structure.bonusMonth) || null, // 1-12, when variable pay is paid
+      rentPaid: parseFloat(structure.rentPaid) || 0,
+      metro: structure.metro === true || structure.metro === 'on'
+    };
+  },
+
   /**
    * Update income stream
    */
@@ -154,6 +245,27 @@ const Store = {
     if (updates.amount) income.amount = parseFloat(updates.amount);
     if (updates.type) income.type = updates.type;
     if (updates.taxable !== undefined) income.taxable = updates.taxable;
+    if (updates.growthRate !== undefined) income.growthRate = this.parseGrowthRate(updates.growthRate);
+    if (updates.salaryStructure !== undefined) {
+      income.salaryStructure = updates.salaryStructure
+        ? this.createSalaryStructure({ ...(income.salaryStructure || {}), ...updates.salaryStructure })
+        : null;
+    }
+    if (updates.frequency || updates.dueMonth || updates.dueDate) {
+      Object.assign(income, this.createSchedule({ ...income, dueMonths: null, ...updates }));
+    }
+    if (income.salaryStructure) {
+      income.amount = Salary.getMonthlyAmount(income.salaryStructure);
+      Object.assign(income, this.createSchedule({ frequency: 'monthly' }));
+    }
+    if (updates.type || updates.taxScheme || updates.businessDetails) {
+      const current = { ...(income.businessDetails || {}) };
+      // A new income type brings its own presumptive scheme
+      if (updates.type && current.scheme !== 'regular') delete current.scheme;
+      income.businessDetails = BusinessIncome.types.includes(income.type)
+        ? this.createBusinessDetails({ ...income, ...current, ...(updates.businessDetails || {}), ...updates })
+        : null;
+    }
     
     this.checkForIncomeChange();
     this.persist();
@@ -191,6 +303,7 @@ const Store = {
       amount: parseFloat(expense.amount),
       category: expense.category || 'other',
       type: expense.expenseType || 'fixed',
+      ...this.createSchedule(expense),
       createdAt: new Date().toISOString()
     };
     
@@ -214,6 +327,9 @@ const Store = {
     if (updates.amount) expense.amount = parseFloat(updates.amount);
     if (updates.category) expense.category = updates.category;
     if (updates.expenseType) expense.type = updates.expenseType;
+    if (updates.frequency || updates.dueMonth || updates.dueDate) {
+      Object.assign(expense, this.createSchedule({ ...expense, dueMonths: null, ...updates }));
+    }
     
     this.persist();
     this.notifyAll();
@@ -245,16 +361,32 @@ const Store = {
     if (!entity) throw new Error(`Entity ${entityId} not found`);
     
     const assetDefaults = Models.getAssetDefaults(asset.assetType);
+    const purchaseValue = parseFloat(asset.purchaseValue) || parseFloat(asset.currentValue);
+    
+    // Purchase lots drive capital gains; a single lot is created
+    // from the purchase value when none are given
+    const lots = (asset.lots && asset.lots.length > 0 ? asset.lots : [{
+      date: asset.purchaseDate,
+      units: asset.units,
+      cost: purchaseValue,
+      fmv2018: asset.fmv2018
+    }]).map((lot, i) => this.createLot(lot, i));
+    
+    const contribution = this.createContribution(asset);
     
     const newAsset = {
       id: `asset-${Date.now()}`,
       name: asset.name,
       assetType: asset.assetType,
       currentValue: parseFloat(asset.currentValue),
-      purchaseValue: parseFloat(asset.purchaseValue) || parseFloat(asset.currentValue),
+      purchaseValue: lots.reduce((sum, lot) => sum + lot.cost, 0),
       expectedReturn: parseFloat(asset.expectedReturn) || assetDefaults.expectedReturn,
       volatility: parseFloat(asset.volatility) || assetDefaults.volatility,
       taxTreatment: assetDefaults.taxTreatment,
+      lots,
+      sales: [],
+      contribution,
+      monthlyContribution: contribution ? Math.round(CashFlow.toMonthly(contribution)) : 0,
       createdAt: new Date().toISOString()
     };
     
@@ -264,6 +396,233 @@ const Store = {
     return newAsset;
   },
 
+  /**
+   * Normalize a recurring contribution (SIP, PPF deposit) into an asset
+   * Returns null when there is none
+   */
+  createContribution(asset) {
+    const amount = parseFloat(asset.contributionAmount ?? asset.contribution?.amount);
+    if (!(amount > 0)) return null;
+
+    return {
+      amount,
+      ...this.createSchedule({
+        frequency: asset.contributionFrequency || asset.contribution?.frequency,
+        dueMonth: asset.contributionMonth,
+        dueMonths: asset.contribution?.dueMonths
+      })
+    };
+  },
+
+  /**
+   * Create a purchase lot record
+   */
+  createLot(lot, index = 0) {
+    const units = parseFloat(lot.units) || 1;
+    return {
+      id: `lot-${Date.now()}-${index}`,
+      date: lot.date || new Date().toISOString().substring(0, 10),
+      units,
+      remainingUnits: units,
+      cost: parseFloat(lot.cost) || 0,
+      fmv2018: parseFloat(lot.fmv2018) || null // Per-unit FMV on 31-Jan-2018
+    };
+  },
+
+  /**
+   * Record an additional purchase lot for an asset
+   */
+  addLot(entityId, assetId, lot) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const asset = entity.assets.find(a => a.id === assetId);
+    if (!asset) throw new Error(`Asset ${assetId} not found`);
+    
+    const newLot = this.createLot(lot, (asset.lots || []).length);
+    asset.lots = [...(asset.lots || []), newLot];
+    asset.purchaseValue += newLot.cost;
+    asset.currentValue += newLot.cost; // Bought at market price
+    
+    this.persist();
+    this.notifyAll();
+    return newLot;
+  },
+
+  /**
+   * Sell units of an asset, matching lots FIFO
+   */
+  sellAsset(entityId, assetId, sale) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const asset = entity.assets.find(a => a.id === assetId);
+    if (!asset) throw new Error(`Asset ${assetId} not found`);
+    
+    const saleData = {
+      date: sale.date || new Date().toISOString().substring(0, 10),
+      units: parseFloat(sale.units),
+      price: parseFloat(sale.price) || CapitalGains.getCurrentPrice(asset),
+      expenses: parseFloat(sale.expenses) || 0
+    };
+    
+    const currentPrice = CapitalGains.getCurrentPrice(asset);
+    const realizations = CapitalGains.matchSale(asset, saleData);
+    
+    // Consume the matched lots
+    realizations.forEach(r => {
+      const lot = asset.lots.find(l => l.id === r.lotId);
+      lot.remainingUnits -= r.units;
+      asset.purchaseValue -= (lot.cost / lot.units) * r.units;
+    });
+    asset.currentValue = Math.max(0, asset.currentValue - saleData.units * currentPrice);
+    
+    const newSale = {
+      id: `sale-${Date.now()}`,
+      ...saleData,
+      financialYear: CapitalGains.getFinancialYear(saleData.date),
+      realizations,
+      createdAt: new Date().toISOString()
+    };
+    
+    asset.sales = [...(asset.sales || []), newSale];
+    this.persist();
+    this.notifyAll();
+    return newSale;
+  },
+
+  /**
+   * Record a capital loss not captured by tracked sales
+   * (e.g. carried forward in an earlier income tax return)
+   */
+  addCapitalLoss(entityId, loss) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const newLoss = {
+      id: `loss-${Date.now()}`,
+      financialYear: loss.financialYear,
+      term: loss.term === 'long' ? 'long' : 'short',
+      amount: Math.abs(parseFloat(loss.amount)) || 0,
+      createdAt: new Date().toISOString()
+    };
+    
+    entity.capitalLossLedger = [...(entity.capitalLossLedger || []), newLoss];
+    this.persist();
+    this.notifyAll();
+    return newLoss;
+  },
+
+  /**
+   * Delete a capital loss ledger entry
+   */
+  deleteCapitalLoss(entityId, lossId) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const index = (entity.capitalLossLedger || []).findIndex(l => l.id === lossId);
+    if (index > -1) {
+      entity.capitalLossLedger.splice(index, 1);
+      this.persist();
+      this.notifyAll();
+      return true;
+    }
+    return false;
+  },
+
+  /**
+   * Normalize a tax credit (TDS, TCS or tax paid)
+   */
+  createTaxCredit(credit, index = 0) {
+    const type = TaxCredits.types[credit.type] ? credit.type : 'tds';
+    return {
+      id: `credit-${Date.now()}-${index}`,
+      financialYear: credit.financialYear ||
+        (credit.date ? CapitalGains.getFinancialYear(credit.date) : TaxCalculator.defaultFinancialYear),
+      type,
+      name: credit.name || TaxCredits.types[type].name,
+      tan: credit.tan || null,
+      amount: Math.abs(parseFloat(credit.amount)) || 0,
+      date: credit.date || null,
+      source: credit.source || 'manual',
+      createdAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Record TDS, TCS or tax paid for an entity
+   */
+  addTaxCredit(entityId, credit) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const newCredit = this.createTaxCredit(credit);
+    entity.taxCredits = [...(entity.taxCredits || []), newCredit];
+    this.persist();
+    this.notifyAll();
+    return newCredit;
+  },
+
+  /**
+   * Update a tax credit
+   */
+  updateTaxCredit(entityId, creditId, updates) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const credit = (entity.taxCredits || []).find(c => c.id === creditId);
+    if (!credit) throw new Error(`Tax credit ${creditId} not found`);
+    
+    if (updates.name) credit.name = updates.name;
+    if (updates.amount) credit.amount = Math.abs(parseFloat(updates.amount));
+    if (updates.type && TaxCredits.types[updates.type]) credit.type = updates.type;
+    if (updates.date) {
+      credit.date = updates.date;
+      credit.financialYear = CapitalGains.getFinancialYear(updates.date);
+    }
+    
+    this.persist();
+    this.notifyAll();
+    return credit;
+  },
+
+  /**
+   * Delete a tax credit
+   */
+  deleteTaxCredit(entityId, creditId) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const index = (entity.taxCredits || []).findIndex(c => c.id === creditId);
+    if (index > -1) {
+      entity.taxCredits.splice(index, 1);
+      this.persist();
+      this.notifyAll();
+      return true;
+    }
+    return false;
+  },
+
+  /**
+   * Import credits parsed from a Form 26AS / AIS statement
+   * Entries already in the ledger (same year, type, TAN, date and amount) are skipped
+   */
+  importTaxCredits(entityId, credits) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const key = (c) => [c.financialYear, c.type, c.tan, c.date, c.amount].join('|');
+    const existing = new Set((entity.taxCredits || []).map(key));
+    const added = credits
+      .map((credit, index) => this.createTaxCredit(credit, index))
+      .filter(credit => !existing.has(key(credit)) && existing.add(key(credit)));
+    
+    entity.taxCredits = [...(entity.taxCredits || []), ...added];
+    this.persist();
+    this.notifyAll();
+    return added;
+  },
+
   /**
    * Update asset
    */
@@ -278,6 +637,65 @@ const Store = {
     if (updates.currentValue) asset.currentValue = parseFloat(updates.currentValue);
     if (updates.expectedReturn) asset.expectedReturn = parseFloat(updates.expectedReturn);
     if (updates.volatility) asset.volatility = parseFloat(updates.volatility);
+    if (updates.contributionAmount !== undefined) {
+      asset.contribution = this.createContribution({
+        ...updates,
+        contributionFrequency: updates.contributionFrequency || asset.contribution?.frequency,
+        contributionMonth: updates.contributionMonth || asset.contribution?.dueMonths?.[0]
+      });
+      asset.monthlyContribution = asset.contribution ? Math.round(CashFlow.toMonthly(asset.contribution)) : 0;
+    }
+    
+    this.persist();
+    this.notifyAll();
+    return asset;
+  },
+
+  /**
+   * Set house property details for a real-estate asset
+   * - occupancy: 'self-occupied' or 'let-out'
+   * - monthlyRent: kept as a rental income stream linked to the property
+   * - municipalTaxes: paid per year
+   * - loanId: home loan (from any entity) that financed the property
+   * - coOwners: [{ entityId, share }] with shares in %
+   */
+  setPropertyDetails(entityId, assetId, details) {
+    const entity = this.getEntity(entityId);
+    if (!entity) throw new Error(`Entity ${entityId} not found`);
+    
+    const asset = entity.assets.find(a => a.id === assetId);
+    if (!asset) throw new Error(`Asset ${assetId} not found`);
+    
+    const occupancy = details.occupancy === 'let-out' ? 'let-out' : 'self-occupied';
+    asset.property = {
+      occupancy,
+      municipalTaxes: parseFloat(details.municipalTaxes) || 0,
+      loanId: details.loanId || null,
+      coOwners: (details.coOwners || [])
+        .map(owner => ({ entityId: owner.entityId, share: parseFloat(owner.share) || 0 }))
+        .filter(owner => owner.share > 0)
+    };
+    
+    // Keep the linked rent stream in step with the occupancy
+    const rent = occupancy === 'let-out' ? parseFloat(details.monthlyRent) || 0 : 0;
+    const rentIncome = entity.incomeStreams.find(income => income.propertyId === assetId);
+    if (rent > 0 && rentIncome) {
+      rentIncome.amount = rent;
+    } else if (rent > 0) {
+      entity.incomeStreams.push({
+        id: `income-${Date.now()}`,
+        name: `${asset.name} Rent`,
+        amount: rent,
+        type: 'rental',
+        taxable: true,
+        ...this.createSchedule({ frequency: 'monthly' }),
+        salaryStructure: null,
+        propertyId: assetId,
+        createdAt: new Date().toISOString()
+      });
+    } else if (rentIncome) {
+      entity.incomeStreams.splice(entity.incomeStreams.indexOf(rentIncome), 1);
+    }
     
     this.persist();
     this.notifyAll();
@@ -294,6 +712,12 @@ const Store = {
     const index = entity.assets.findIndex(a => a.id === assetId);
     if (index > -1) {
       entity.assets.splice(index, 1);
+      
+      // Rent from a removed property is ordinary income again
+      this.state.entities.forEach(e => e.incomeStreams.forEach(income => {
+        if (income.propertyId === assetId) income.propertyId = null;
+      }));
+      
       this.persist();
       this.notifyAll();
       return true;
@@ -376,6 +800,10 @@ const Store = {
       entity.initials = updates.name.substring(0, 2).toUpperCase();
     }
     if (updates.type) entity.type = updates.type;
+    if (updates.taxRegime !== undefined) entity.taxRegime = updates.taxRegime;
+    if (updates.taxDeductions) {
+      entity.taxDeductions = { ...entity.taxDeductions, ...updates.taxDeductions };
+    }
     
     this.persist();
     this.notifyAll();
@@ -460,7 +888,7 @@ const Store = {
       
       // Investment assumptions
       expectedReturn: parseFloat(goal.expectedReturn) || 12,
-      salaryIncrement: parseFloat(goal.salaryIncrement) || 8,
+      salaryIncrement: this.getGoalStepUp(goal),
       
       achievability: 0,
       createdAt: new Date().toISOString()
@@ -470,6 +898,7 @@ const Store = {
     this.calculateGoalMetrics(newGoal);
     
     this.state.goals.push(newGoal);
+    this.simulatePlan();
     this.persist();
     this.notifyAll();
     return newGoal;
@@ -503,7 +932,7 @@ const Store = {
     const months = Math.max(1, Math.round((targetDate - today) / (30.44 * 24 * 60 * 60 * 1000)));
     
     // Assume moderate return rate of 12% annually for equity-heavy portfolio
-    const monthlyRate = 0.12 / 12;
+    const assumedReturn = 12;
     
     // For loan-funded goals, target is the downpayment
     // For cash-funded goals, target is the full future value
@@ -512,17 +941,17 @@ const Store = {
       : goal.futureValue;
     
     const current = goal.currentValue || 0;
+    const stepUp = this.getGoalStepUp(goal);
     
-    // Future value of current amount
-    const fvCurrent = current * Math.pow(1 + monthlyRate, months);
-    const remaining = target - fvCurrent;
-    
-    // Required monthly SIP (using annuity formula)
-    const requiredSIP = remaining > 0 
-      ? remaining * monthlyRate / (Math.pow(1 + monthlyRate, months) - 1)
-      : 0;
-    
-    goal.monthlyContribution = Math.max(0, Math.round(requiredSIP));
+    // Required starting SIP, stepped up yearly with salary increments
+    goal.monthlyContribution = MonteCarlo.calculateRequiredSIP({
+      currentAmount: current,
+      expectedReturn: assumedReturn,
+      targetAmount: target,
+      years: months / 12,
+      stepUp
+    });
+    goal.sipSchedule = MonteCarlo.getSIPSchedule(goal.monthlyContribution, stepUp, months);
     
     // For loan-funded goals, also store the post-purchase EMI
     if (goal.fundingType === 'loan' && goal.loanAmount > 0) {
@@ -535,12 +964,7 @@ const Store = {
     
     // Calculate ACTUAL available monthly savings for simulation
     // This is what the user can actually invest, not what's required
-    const totalIncome = this.calculateTotalMonthlyIncome();
-    const totalExpenses = this.calculateTotalMonthlyExpenses();
-    
-    // Get total EMIs from liabilities
-    const totalEMIs = this.state.entities.reduce((sum, entity) => 
-      sum + entity.liabilities.reduce((emiSum, l) => emiSum + (l.emi || 0), 0), 0);
+    const investableSurplus = this.calculateInvestableSurplus();
     
     // Get SIPs already allocated to other goals
     const otherGoalsSIP = this.state.goals
@@ -548,7 +972,7 @@ const Store = {
       .reduce((sum, g) => sum + (g.monthlyContribution || 0), 0);
     
     // Available income for this goal = Income - Expenses - EMIs - Other Goals
-    const dispensableIncome = Math.max(0, totalIncome - totalExpenses - totalEMIs - otherGoalsSIP);
+    const dispensableIncome = Math.max(0, investableSurplus - otherGoalsSIP);
     
     // For Monte Carlo, use the ACTUAL available income
     // If user can contribute MORE than required, probability increases above 50%
@@ -558,23 +982,247 @@ const Store = {
     // Get expected return from goal or use default
     const expectedReturn = goal.expectedReturn || 12;
     
-    // Run Monte Carlo with actual contribution ability
-    const result = MonteCarlo.simulateGoal({
+    // Run Monte Carlo with actual contribution ability, off the main thread
+    // A fixed seed keeps achievability steady across re-renders
+    const simulationParams = {
       currentAmount: current,
       monthlyContribution: actualContribution,
+      stepUp,
       expectedReturn: expectedReturn,
       volatility: 15,
       years: months / 12,
       targetAmount: target,
-      iterations: this.state.configuration.monteCarloIterations
-    });
-    
-    goal.achievability = result.probability;
-    goal.percentiles = result.percentiles;
+      returnModel: MonteCarlo.getReturnModel('equity', this.state.configuration),
+      ...this.getGoalInflationTerms(goal, target)
+    };
+    goal.simulationPending = true;
+    const done = MonteCarloRunner.simulateGoal({
+      ...simulationParams,
+      iterations: this.state.configuration.monteCarloIterations,
+      seed: MonteCarlo.getSeed(this.state.configuration)
+    }, { channel: 'goals', key: goal.id })
+      .then(result => this.applyGoalSimulation(goal.id, simulationParams, result))
+      .catch(error => {
+        if (!error.cancelled) console.error(`Simulation for goal ${goal.id} failed:`, error);
+        this.endGoalSimulation(goal.id, simulationParams);
+      });
+    this.pendingSimulations.set(goal.id, { params: simulationParams, done });
     
     // Store the actual contribution for display purposes
     goal.actualContribution = actualContribution;
     goal.canAffordRequired = dispensableIncome >= goal.monthlyContribution;
+
+    if (goal.type === 'retirement') this.simulateRetirement(goal);
+  },
+
+  /**
+   * Simulate withdrawals from a retirement goal's corpus in the worker
+   * A newer run for the same goal replaces one still in flight
+   */
+  simulateRetirement(goal) {
+    goal.decumulationPending = true;
+    MonteCarloRunner.simulateDecumulation({
+      ...GoalPhases.getDecumulationParams(goal),
+      iterations: this.state.configuration.monteCarloIterations,
+      seed: MonteCarlo.getSeed(this.state.configuration)
+    }, { channel: 'retirement', key: goal.id })
+      .then(result => {
+        const current = this.state.goals.find(g => g.id === goal.id);
+        if (!current) return;
+        current.decumulation = result;
+        current.decumulationPending = false;
+        this.persist();
+        this.notifyAll();
+      })
+      .catch(error => {
+        if (error.cancelled) return;
+        console.error(`Retirement simulation for goal ${goal.id} failed:`, error);
+        const current = this.state.goals.find(g => g.id === goal.id);
+        if (!current) return;
+        current.decumulationPending = false;
+        this.notifyAll();
+      });
+  },
+
+  /**
+   * Terms for inflating a goal's target along each simulated path: the
+   * target in today's money and the goal category's inflation premium
+   * over general inflation (Inflation.categoryInflationRates)
+   * Empty when inflation is fixed or the goal isn't inflation-adjusted
+   */
+  getGoalInflationTerms(goal, target, inflationModel = MonteCarlo.getInflationModel(this.state.configuration)) {
+    if (!inflationModel || goal.inflationAdjust === false || !goal.futureValue) return {};
+
+    return {
+      inflationModel,
+      targetToday: target * goal.targetAmount / goal.futureValue,
+      inflationSpread: Inflation.getGoalInflation(goal.type) - Inflation.categoryInflationRates.general
+    };
+  },
+
+  /**
+   * Yearly SIP step-up (%) for a goal, from its salary increment
+   * Zero keeps the SIP flat
+   */
+  getGoalStepUp(goal) {
+    const stepUp = parseFloat(goal.salaryIncrement);
+    return isNaN(stepUp) ? 8 : Math.max(0, stepUp);
+  },
+
+  /**
+   * Yearly growth (%) entered for an income stream
+   * Blank leaves it to the income type's default
+   */
+  parseGrowthRate(value) {
+    const growthRate = parseFloat(value);
+    return isNaN(growthRate) ? null : Math.max(0, growthRate);
+  },
+
+  /**
+   * Yearly growth (%) of an income stream
+   */
+  getIncomeGrowth(income) {
+    return income.growthRate ?? Models.incomeTypes[income.type]?.growthRate ?? 0;
+  },
+
+  /**
+   * Yearly step-up (%) of the household surplus: the growth of the
+   * recurring income streams, weighted by their size
+   */
+  getPlanStepUp() {
+    const streams = this.state.entities
+      .flatMap(entity => entity.incomeStreams || [])
+      .filter(income => income.frequency !== 'one-off')
+      .map(income => ({ amount: CashFlow.toMonthly(income), growth: this.getIncomeGrowth(income) }));
+    const total = streams.reduce((sum, stream) => sum + stream.amount, 0);
+    return total > 0 ? streams.reduce((sum, stream) => sum + stream.amount * stream.growth, 0) / total : 0;
+  },
+
+  /**
+   * Store a finished goal simulation
+   * Results for goals changed since are dropped; their newer run follows
+   */
+  applyGoalSimulation(goalId, params, result) {
+    if (this.pendingSimulations.get(goalId)?.params !== params) return;
+    this.pendingSimulations.delete(goalId);
+
+    const goal = this.state.goals.find(g => g.id === goalId);
+    if (!goal) return;
+
+    goal.achievability = result.probability;
+    goal.percentiles = result.percentiles;
+    goal.targetRange = result.targetRange || null;
+    // What produced this result, for MonteCarlo.replay
+    goal.simulation = {
+      seed: result.seed,
+      iterations: result.iterations,
+      params
+    };
+    goal.simulationPending = false;
+    this.persist();
+    this.notifyAll();
+  },
+
+  /**
+   * Forget a goal's run that ended without a result, unless a newer run
+   * replaced it; the goal keeps its last result
+   */
+  endGoalSimulation(goalId, params) {
+    if (this.pendingSimulations.get(goalId)?.params !== params) return;
+    this.pendingSimulations.delete(goalId);
+
+    const goal = this.state.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    goal.simulationPending = false;
+    this.notifyAll();
+  },
+
+  /**
+   * Resolve with the goal once its latest simulation has landed (or failed)
+   */
+  async whenGoalSimulated(goalId) {
+    let run;
+    while ((run = this.pendingSimulations.get(goalId))) {
+      await run.done;
+      if (this.pendingSimulations.get(goalId) === run) break;
+    }
+    return this.state.goals.find(g => g.id === goalId);
+  },
+
+  /**
+   * Inputs for the whole-plan simulation: every goal drawn from one
+   * portfolio of the household's assets, fed by the household surplus
+   * Physical assets are lived in or held rather than sold for goals, and
+   * retirement accounts only count when there is a retirement goal.
+   * The SIP steps up with the income streams (getPlanStepUp).
+   */
+  buildPlanParams(inflationModel = MonteCarlo.getInflationModel(this.state.configuration)) {
+    const today = new Date();
+    const goals = this.state.goals.map(goal => {
+      const amount = goal.fundingType === 'loan' ? goal.downpaymentAmount || 0 : goal.futureValue || goal.targetAmount;
+      const { targetToday, inflationSpread } = this.getGoalInflationTerms(goal, amount, inflationModel);
+      return {
+        id: goal.id,
+        name: goal.name,
+        month: Math.max(0, Math.round((new Date(goal.targetDate + '-01') - today) / (30.44 * 24 * 60 * 60 * 1000))),
+        amount,
+        ...(targetToday !== undefined && { amountToday: targetToday, inflationSpread }),
+        priority: goal.priority || 2
+      };
+    });
+    const hasRetirementGoal = this.state.goals.some(goal => goal.type === 'retirement');
+    const assets = this.getPortfolioAssets()
+      .filter(asset => asset.category !== 'physical' && (asset.category !== 'retirement' || hasRetirementGoal));
+
+    return {
+      currentAmount: assets.reduce((sum, asset) => sum + (asset.currentValue || 0), 0),
+      monthlyContribution: Math.max(0, this.calculateInvestableSurplus()),
+      stepUp: this.getPlanStepUp(),
+      expectedReturn: 12,
+      volatility: 15,
+      returnModel: MonteCarlo.getReturnModel('equity', this.state.configuration),
+      inflationModel,
+      goals
+    };
+  },
+
+  /**
+   * Run the whole-plan simulation in the worker; a newer run replaces one
+   * still in flight
+   */
+  simulatePlan() {
+    if (this.state.goals.length === 0) {
+      this.state.planSimulation = null;
+      return;
+    }
+
+    this.state.planSimulation = { ...(this.state.planSimulation || {}), pending: true };
+    MonteCarloRunner.simulatePlan({
+      ...this.buildPlanParams(),
+      iterations: this.state.configuration.monteCarloIterations,
+      seed: MonteCarlo.getSeed(this.state.configuration)
+    }, { channel: 'plan', cancelPrevious: true })
+      .then(result => {
+        this.state.planSimulation = { ...result, pending: false, simulatedAt: new Date().toISOString() };
+        this.persist();
+        this.notifyAll();
+      })
+      .catch(error => {
+        if (error.cancelled) return;
+        console.error('Plan simulation failed:', error);
+        this.state.planSimulation = { ...this.state.planSimulation, pending: false };
+        this.notifyAll();
+      });
+  },
+
+  /**
+   * Recalculate every goal, e.g. after the simulation settings change
+   */
+  recalculateGoals() {
+    this.state.goals.forEach(goal => this.calculateGoalMetrics(goal));
+    this.simulatePlan();
+    this.persist();
+    this.notifyAll();
   },
 
   /**
@@ -586,6 +1234,7 @@ const Store = {
     
     Object.assign(goal, updates);
     this.calculateGoalMetrics(goal);
+    this.simulatePlan();
     this.persist();
     this.notifyAll();
     return goal;
@@ -598,6 +1247,7 @@ const Store = {
     const index = this.state.goals.findIndex(g => g.id === goalId);
     if (index > -1) {
       this.state.goals.splice(index, 1);
+      this.simulatePlan();
       this.persist();
       this.notifyAll();
     }
@@ -608,7 +1258,8 @@ const Store = {
    */
   addNotification(notification) {
     const newNotification = {
-      id: `notif-${Date.now()}`,
+      // Reminders fired in the same tick share a timestamp
+      id: `notif-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
       type: notification.type || 'info',
       title: notification.title,
       message: notification.message,
@@ -652,7 +1303,7 @@ const Store = {
    */
   calculateTotalMonthlyIncome() {
     return this.state.entities.reduce((total, entity) => {
-      return total + entity.incomeStreams.reduce((sum, income) => sum + income.amount, 0);
+      return total + entity.incomeStreams.reduce((sum, income) => sum + CashFlow.toMonthly(income), 0);
     }, 0);
   },
 
@@ -661,10 +1312,19 @@ const Store = {
    */
   calculateTotalMonthlyExpenses() {
     return this.state.entities.reduce((total, entity) => {
-      return total + entity.expenses.reduce((sum, expense) => sum + expense.amount, 0);
+      return total + entity.expenses.reduce((sum, expense) => sum + CashFlow.toMonthly(expense), 0);
     }, 0);
   },
 
+  /**
+   * Monthly income left after expenses and EMIs, before any goal SIPs
+   */
+  calculateInvestableSurplus() {
+    const totalEMIs = this.state.entities.reduce((sum, entity) => 
+      sum + entity.liabilities.reduce((emiSum, l) => emiSum + (l.emi || 0), 0), 0);
+    return this.calculateTotalMonthlyIncome() - this.calculateTotalMonthlyExpenses() - totalEMIs;
+  },
+
   /**
    * Calculate total assets value
    */
@@ -674,6 +1334,21 @@ const Store = {
     }, 0);
   },
 
+  /**
+   * Every asset in the household, in the shape MonteCarlo.simulatePortfolio
+   * takes, with its category for the correlation matrix
+   */
+  getPortfolioAssets() {
+    return this.state.entities.flatMap(entity => entity.assets.map(asset => ({
+      name: asset.name,
+      category: Models.getAssetDefaults(asset.assetType).category || 'alternative',
+      currentValue: asset.currentValue,
+      monthlyContribution: asset.monthlyContribution || 0,
+      expectedReturn: asset.expectedReturn,
+      volatility: asset.volatility
+    })));
+  },
+
   /**
    * Calculate total liabilities
    */
@@ -47,13 +47,13 @@ const FamilyOffice = {
    * Get entity role description
    */
   getEntityRole(entity) {
-    const income = entity.incomeStreams?.reduce((sum, i) => sum + i.amount, 0) || 0;
+    const income = entity.incomeStreams?.reduce((sum, i) => sum + CashFlow.toMonthly(i), 0) || 0;
     
     if (income > 0) {
       return `₹${(income / 1000).toFixed(0)}K/mo income`;
     }
     
-    const expenses = entity.expenses?.reduce((sum, e) => sum + e.amount, 0) || 0;
+    const expenses = entity.expenses?.reduce((sum, e) => sum + CashFlow.toMonthly(e), 0) || 0;
     if (expenses > 0) {
       return `₹${(expenses / 1000).toFixed(0)}K/mo expenses`;
     }
@@ -172,8 +172,8 @@ const FamilyOffice = {
       const entityBalance = {
         assets: entity.assets?.reduce((sum, a) => sum + a.currentValue, 0) || 0,
         liabilities: entity.liabilities?.reduce((sum, l) => sum + l.principal, 0) || 0,
-        income: entity.incomeStreams?.reduce((sum, i) => sum + i.amount, 0) || 0,
-        expenses: entity.expenses?.reduce((sum, e) => sum + e.amount, 0) || 0
+        income: entity.incomeStreams?.reduce((sum, i) => sum + CashFlow.toMonthly(i), 0) || 0,
+        expenses: entity.expenses?.reduce((sum, e) => sum + CashFlow.toMonthly(e), 0) || 0
       };
 
       balance.totalAssets += entityBalance.assets;
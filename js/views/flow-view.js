@@ -11,6 +11,7 @@ const FlowView = {
     // Initialize charts
     SankeyChart.init('sankey-chart');
     WaterfallChart.init('waterfall-chart');
+    CashFlowCalendarChart.init('cash-flow-calendar-chart');
   },
 
   /**
@@ -25,6 +26,7 @@ const FlowView = {
     // Update charts
     SankeyChart.update(state);
     WaterfallChart.update(state);
+    CashFlowCalendarChart.update(state);
   },
 
   /**
@@ -37,14 +39,17 @@ const FlowView = {
     let totalEMI = 0;
     let goalSIPs = 0;
 
+    // Quarterly, annual and one-off items are spread over the year
+    const financialYear = state.configuration?.financialYear || CashFlow.getDefaultFinancialYear();
+
     state.entities?.forEach(entity => {
       entity.incomeStreams?.forEach(income => {
-        monthlyIncome += income.amount;
+        monthlyIncome += Math.round(CashFlow.toMonthly(income, financialYear));
       });
 
       entity.expenses?.forEach(expense => {
         if (expense.type === 'fixed') {
-          fixedExpenses += expense.amount;
+          fixedExpenses += Math.round(CashFlow.toMonthly(expense, financialYear));
         }
       });
 
@@ -57,17 +62,17 @@ const FlowView = {
       goalSIPs += goal.monthlyContribution || 0;
     });
 
-    // Calculate tax
+    // Calculate tax per entity, rolled up to the household
     let monthlyTax = 0;
+    let taxableIncome = 0;
     if (monthlyIncome > 0) {
-      const taxResult = TaxCalculator.calculateTax({
-        grossIncome: monthlyIncome * 12,
-        regime: state.configuration?.taxRegime || 'new'
-      });
-      monthlyTax = taxResult.monthlyTax;
+      const tax = HouseholdTax.calculate(state);
+      monthlyTax = tax.monthlyTax;
+      // After presumptive profit, deductions and the salaried standard deduction
+      taxableIncome = tax.byEntity.reduce((sum, e) => sum + (e.breakdown?.taxableIncome || 0), 0);
     }
 
-    const netIncome = monthlyIncome - monthlyTax;
+    const netIncome = monthlyIncome - monthlyTax - Salary.getHouseholdEmployeeEPF(state);
     const dispensable = Math.max(0, netIncome - fixedExpenses - totalEMI - goalSIPs);
 
     // Update DOM
@@ -80,5 +85,13 @@ const FlowView = {
     updateElement('fixed-expenses', fixedExpenses + totalEMI);
     updateElement('goal-sips', goalSIPs);
     updateElement('dispensable', dispensable);
+
+    const taxableEl = document.getElementById('taxable-income');
+    if (taxableEl) {
+      taxableEl.textContent = taxableIncome > 0 ? `Taxable income ${Validators.formatCurrency(taxableIncome, true)}/yr` : '';
+    }
+
+    const fyEl = document.getElementById('flow-financial-year');
+    if (fyEl) fyEl.textContent = TaxCalculator.describeFinancialYear(state.configuration?.financialYear || TaxCalculator.defaultFinancialYear);
   }
 };
@@ -4,6 +4,9 @@
  */
 
 const ReservoirView = {
+  // Latest stress test run from this view
+  stressTest: { scenarioId: null, result: null, pending: false },
+
   /**
    * Initialize Reservoir view
    */
@@ -40,6 +43,8 @@ const ReservoirView = {
     
     // Update probability indicator
     this.updateProbability(state);
+    this.renderPlan(state);
+    this.renderStressTest();
   },
 
   /**
@@ -88,6 +93,10 @@ const ReservoirView = {
         achievabilityClass = 'yellow';
         achievabilityText = 'Needs Attention';
       }
+      if (goal.simulationPending) {
+        achievabilityClass = '';
+        achievabilityText = 'Simulating…';
+      }
 
       return `
         <div class="goal-card" data-goal-id="${goal.id}">
@@ -109,6 +118,11 @@ const ReservoirView = {
             Target: ${Validators.formatCurrency(targetAmount, true)}
             ${showFutureValue ? '<span class="text-muted">(Future)</span>' : '<span class="text-muted">(Today)</span>'}
           </div>
+          ${goal.targetRange ? `
+            <div class="text-xs text-muted" title="Target inflated along simulated futures (10th to 90th percentile)">
+              With inflation: ${Validators.formatCurrency(goal.targetRange.p10, true)} – ${Validators.formatCurrency(goal.targetRange.p90, true)}
+            </div>
+          ` : ''}
           <div class="goal-timeline" style="font-size: var(--font-size-sm); margin-top: var(--space-1);">
             <span class="text-muted">📅 Target Date:</span> 
             <span class="font-medium">${new Date(goal.targetDate + '-01').toLocaleDateString('en-IN', { month: 'short', year: 'numeric' })}</span>
@@ -132,6 +146,7 @@ const ReservoirView = {
               <span class="goal-sip-label">${sipLabel}</span>
               <span class="goal-sip-value">${Validators.formatCurrency(goal.monthlyContribution || 0)}</span>
               ${sipTarget ? `<div class="text-xs text-muted">of ${Validators.formatCurrency(sipTarget, true)} downpayment</div>` : ''}
+              ${this.renderSIPSchedule(goal)}
             </div>
             <div class="probability-indicator">
               <div class="probability-ring" style="width: 40px; height: 40px;">
@@ -160,6 +175,8 @@ const ReservoirView = {
           </div>
           ` : ''}
           
+          ${goal.type === 'retirement' ? this.renderDecumulation(goal) : ''}
+          
           <div class="mt-4 flex gap-2">
             <button class="btn btn-sm btn-secondary" onclick="ProFinance.goals.edit('${goal.id}')">Edit</button>
             <button class="btn btn-sm btn-outline" onclick="ProFinance.goals.showTradeoff('${goal.id}')">Optimize</button>
@@ -187,12 +204,19 @@ const ReservoirView = {
       return;
     }
 
-    // Calculate weighted average probability
+    // Chance of every goal together from the whole-plan simulation,
+    // else the weighted average of goals simulated alone
+    const plan = state.planSimulation;
     const totalWeight = goals.reduce((sum, g) => sum + (g.targetAmount || 0), 0);
-    const weightedProb = goals.reduce((sum, g) => {
-      const weight = (g.targetAmount || 0) / totalWeight;
-      return sum + (g.achievability || 0) * weight;
-    }, 0);
+    const weightedProb = plan?.allGoalsProbability !== undefined
+      ? plan.allGoalsProbability
+      : goals.reduce((sum, g) => {
+        const weight = (g.targetAmount || 0) / totalWeight;
+        return sum + (g.achievability || 0) * weight;
+      }, 0);
+
+    const probLabel = document.getElementById('probability-label');
+    if (probLabel) probLabel.textContent = plan?.allGoalsProbability !== undefined ? 'All Goals' : 'Success Rate';
 
     const probValue = document.getElementById('probability-value');
     const probRing = document.getElementById('probability-ring');
@@ -218,6 +242,220 @@ const ReservoirView = {
     }
   },
 
+  /**
+   * Year-by-year SIP for a stepped-up goal
+   */
+  renderSIPSchedule(goal) {
+    const schedule = goal.sipSchedule || [];
+    const stepUp = Store.getGoalStepUp(goal);
+    if (stepUp === 0 || schedule.length < 2 || !goal.monthlyContribution) return '';
+
+    return `
+      <details class="text-xs text-muted">
+        <summary>Steps up ${stepUp}%/year</summary>
+        ${schedule.map(year => `
+          <div class="flex justify-between">
+            <span>Year ${year.year}${year.months < 12 ? ` (${year.months} mo)` : ''}</span>
+            <span>${Validators.formatCurrency(year.monthlySIP)}/mo</span>
+          </div>
+        `).join('')}
+      </details>
+    `;
+  },
+
+  /**
+   * Retirement drawdown summary for a retirement goal
+   */
+  renderDecumulation(goal) {
+    const result = goal.decumulation;
+    if (!result) {
+      return goal.decumulationPending ? '<div class="text-xs text-muted mt-3">Simulating retirement withdrawals…</div>' : '';
+    }
+
+    return `
+      <div class="card mt-3" style="background: rgba(139, 92, 246, 0.1); padding: var(--space-2); font-size: var(--font-size-xs);">
+        <div class="flex justify-between">
+          <span class="text-muted">Chance of running out:</span>
+          <span class="font-semibold ${result.probabilityOfRuin > result.ruinTolerance ? 'text-warning' : ''}">${Math.round(result.probabilityOfRuin * 100)}%</span>
+        </div>
+        ${result.medianDepletionAge !== null ? `
+        <div class="flex justify-between mt-1">
+          <span class="text-muted">If it runs out, typically at age:</span>
+          <span>${Math.floor(result.medianDepletionAge)}</span>
+        </div>
+        ` : ''}
+        <div class="flex justify-between mt-1">
+          <span class="text-muted">Withdrawal rate (safe):</span>
+          <span>${result.initialWithdrawalRate}% (${result.safeWithdrawalRate}%)</span>
+        </div>
+        ${result.guardrails ? `
+        <div class="text-muted mt-1">Guardrails on; typical deepest cut to ${result.medianLowestSpending}% of planned spending</div>
+        ` : ''}
+      </div>
+    `;
+  },
+
+  /**
+   * Render the whole-plan simulation: each goal's chance when every goal
+   * draws on one portfolio, and the order goals usually fail in
+   */
+  renderPlan(state) {
+    const container = document.getElementById('plan-simulation');
+    if (!container) return;
+
+    const plan = state.planSimulation;
+    if (!plan?.goals) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const names = Object.fromEntries(plan.goals.map(goal => [goal.id, goal.name]));
+    const rows = plan.goals.map(goal => `
+      <tr>
+        <td>${goal.name} <span class="text-muted">(P${goal.priority})</span></td>
+        <td style="text-align: right;">${Validators.formatCurrency(goal.amount, true)}</td>
+        <td style="text-align: right;">${Math.round(goal.probability * 100)}%</td>
+        <td style="text-align: right;">${Math.round(goal.firstToFail * 100)}%</td>
+        <td style="text-align: right;">${goal.medianShortfall > 0 ? Validators.formatCurrency(goal.medianShortfall, true) : '-'}</td>
+      </tr>
+    `).join('');
+
+    const typical = plan.failureOrders[0];
+
+    container.innerHTML = `
+      <div class="card">
+        <div class="card-header">
+          <div>
+            <h3 class="card-title">Whole Plan</h3>
+            <p class="card-subtitle">All goals from one portfolio, paid by date and priority${plan.pending ? ' · updating…' : ''}</p>
+          </div>
+          <span class="badge ${plan.allGoalsProbability >= 0.75 ? 'badge-success' : 'badge-warning'}">
+            ${Math.round(plan.allGoalsProbability * 100)}% all goals
+          </span>
+        </div>
+        <table style="width: 100%; font-size: var(--font-size-sm);">
+          <thead>
+            <tr class="text-muted">
+              <th style="text-align: left;">Goal</th>
+              <th style="text-align: right;">Needs</th>
+              <th style="text-align: right;">Met</th>
+              <th style="text-align: right;">First Missed</th>
+              <th style="text-align: right;">Typical Shortfall</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${typical ? `
+        <p class="text-sm text-muted mt-3">
+          Most common failure: ${typical.goalIds.map(id => names[id]).join(' → ')}
+          (${Math.round(typical.probability * 100)}% of scenarios)
+        </p>
+        ` : ''}
+      </div>
+    `;
+  },
+
+  /**
+   * Run a stress scenario and show its results
+   */
+  async runStressTest(scenarioId) {
+    this.stressTest = { scenarioId, result: null, pending: true };
+    this.renderStressTest();
+
+    try {
+      const result = await StressTest.run(scenarioId);
+      if (this.stressTest.scenarioId !== scenarioId) return; // Superseded
+      this.stressTest = { scenarioId, result, pending: false };
+    } catch (error) {
+      console.error(`Stress test ${scenarioId} failed:`, error);
+      Notifications.error('Stress Test Failed', error.message);
+      this.stressTest = { scenarioId: null, result: null, pending: false };
+    }
+    this.renderStressTest();
+  },
+
+  /**
+   * Render the stress test card: scenario buttons and, once run, the
+   * goals that fail under the scenario and by how much
+   */
+  renderStressTest() {
+    const container = document.getElementById('stress-test');
+    if (!container) return;
+
+    if ((Store.get('goals') || []).length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const { scenarioId, result, pending } = this.stressTest;
+    const buttons = Object.entries(StressTest.scenarios).map(([id, scenario]) => `
+      <button class="btn btn-sm ${id === scenarioId ? 'btn-primary' : 'btn-secondary'}"
+              title="${scenario.description}"
+              onclick="ProFinance.goals.runStressTest('${id}')" ${pending ? 'disabled' : ''}>
+        ${scenario.name}
+      </button>
+    `).join('');
+
+    let body = '';
+    if (pending) {
+      body = '<p class="text-sm text-muted mt-3">Running scenario…</p>';
+    } else if (result) {
+      const rows = result.goals.map(goal => `
+        <tr>
+          <td>${goal.name}</td>
+          <td style="text-align: right;">${Validators.formatCurrency(goal.stressedTarget, true)}</td>
+          <td style="text-align: right;">${Validators.formatCurrency(goal.stressedProjected, true)}</td>
+          <td style="text-align: right;" class="${goal.shortfall > 0 ? 'text-danger' : ''}">
+            ${goal.shortfall > 0 ? Validators.formatCurrency(goal.shortfall, true) : '-'}
+          </td>
+          <td style="text-align: right;">
+            ${Math.round(goal.probability * 100)}% → <span class="${goal.fails ? 'text-danger' : ''}">${Math.round(goal.stressedProbability * 100)}%</span>
+          </td>
+        </tr>
+      `).join('');
+      const failing = result.goals.filter(goal => goal.fails).map(goal => goal.name);
+
+      body = `
+        <p class="text-sm text-muted mt-3">${result.scenario.description}</p>
+        <table class="mt-3" style="width: 100%; font-size: var(--font-size-sm);">
+          <thead>
+            <tr class="text-muted">
+              <th style="text-align: left;">Goal</th>
+              <th style="text-align: right;">Needs</th>
+              <th style="text-align: right;">Projected</th>
+              <th style="text-align: right;">Shortfall</th>
+              <th style="text-align: right;">Met</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${result.debt.extraMonthlyEMI > 0 ? `
+        <p class="text-sm text-muted mt-3">
+          Floating-rate EMIs rise by ${Validators.formatCurrency(result.debt.extraMonthlyEMI)}/mo
+          (${Validators.formatCurrency(result.debt.extraInterest, true)} more interest)
+        </p>
+        ` : ''}
+        <p class="text-sm mt-3 ${failing.length > 0 ? 'text-danger' : 'text-success'}">
+          ${failing.length > 0 ? `At risk: ${failing.join(', ')}` : 'Every goal holds up'}
+          · all goals ${Math.round(result.allGoalsProbability * 100)}% → ${Math.round(result.stressedAllGoalsProbability * 100)}%
+        </p>
+      `;
+    }
+
+    container.innerHTML = `
+      <div class="card">
+        <div class="card-header">
+          <div>
+            <h3 class="card-title">Stress Tests</h3>
+            <p class="card-subtitle">Replay the plan through a named shock</p>
+          </div>
+        </div>
+        <div class="flex flex-wrap gap-2">${buttons}</div>
+        ${body}
+      </div>
+    `;
+  },
+
   /**
    * Get human-readable time remaining until target date
    */
@@ -0,0 +1,227 @@
+/**
+ * Pro-Finance Tax View
+ * Regime optimizer and deduction top-ups per entity
+ */
+
+const TaxView = {
+  /**
+   * Refresh the Tax view
+   */
+  refresh() {
+    const state = Store.get();
+
+    const fyEl = document.getElementById('tax-financial-year');
+    if (fyEl) fyEl.textContent = TaxCalculator.describeFinancialYear(state.configuration?.financialYear || TaxCalculator.defaultFinancialYear);
+
+    this.renderUtilization(state);
+    this.renderHouseProperty(state);
+    this.renderOptimizer(state);
+  },
+
+  /**
+   * Render 80C, 80CCD(1B) and 80D utilization per entity
+   */
+  renderUtilization(state) {
+    const container = document.getElementById('deduction-utilization');
+    if (!container) return;
+
+    const financialYear = state.configuration?.financialYear || TaxCalculator.defaultFinancialYear;
+    const labels = { section80C: '80C', section80CCD1B: '80CCD(1B) NPS', section80D: '80D Health' };
+
+    container.innerHTML = (state.entities || []).map(entity => {
+      const utilization = TaxCalculator.calculate80CUtilization(entity, financialYear);
+
+      const bars = Object.entries(utilization.sections).map(([section, usage]) => `
+        <div class="goal-progress">
+          <div class="goal-progress-text">
+            <span class="goal-progress-current">${labels[section]}</span>
+            <span class="goal-progress-remaining">${Validators.formatCurrency(usage.utilized, true)} of ${Validators.formatCurrency(usage.limit, true)}</span>
+          </div>
+          <div class="goal-progress-bar">
+            <div class="goal-progress-fill" style="width: ${Math.round(usage.utilized / usage.limit * 100)}%"></div>
+          </div>
+          ${usage.breakdown.length > 0 ? `
+          <div class="text-xs text-muted mt-1">
+            ${usage.breakdown.map(source => `${source.name} ${Validators.formatCurrency(source.amount, true)}`).join(' · ')}
+          </div>
+          ` : ''}
+        </div>
+      `).join('');
+
+      return `
+        <div class="card">
+          <div class="card-header">
+            <div>
+              <h3 class="card-title">${entity.name}</h3>
+              <p class="card-subtitle">Deductions, FY ${TaxCalculator.describeFinancialYear(financialYear)}</p>
+            </div>
+          </div>
+          ${bars}
+          <p class="text-sm text-muted mt-3">${utilization.recommendation}</p>
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Render each member's share of income from house property
+   */
+  renderHouseProperty(state) {
+    const container = document.getElementById('house-property');
+    if (!container) return;
+
+    const financialYear = state.configuration?.financialYear || TaxCalculator.defaultFinancialYear;
+    const entities = state.entities || [];
+
+    container.innerHTML = entities.map(entity => {
+      const result = HouseProperty.calculateEntity(entity, financialYear, entities);
+      if (result.properties.length === 0) return '';
+
+      const rows = result.properties.map(p => `
+        <tr>
+          <td>${HouseProperty.occupancies[p.occupancy].icon} ${p.name} <span class="text-muted">(${p.share}%)</span></td>
+          <td style="text-align: right;">${Validators.formatCurrency(p.netAnnualValue)}</td>
+          <td style="text-align: right;">${Validators.formatCurrency(p.standardDeduction)}</td>
+          <td style="text-align: right;">${Validators.formatCurrency(p.interest)}</td>
+          <td style="text-align: right;">${Validators.formatCurrency(p.income)}</td>
+        </tr>
+      `).join('');
+
+      const params = HouseholdTax.buildTaxParams(entity, state.configuration || {}, entities);
+      const head = TaxCalculator.calculateHousePropertyHead({
+        housePropertyIncome: params.housePropertyIncome,
+        selfOccupiedInterest: Math.min(params.homeLoanInterest, TaxCalculator.homeLoan.interestUnder24b),
+        regime: 'old'
+      });
+
+      return `
+        <div class="card">
+          <div class="card-header">
+            <div>
+              <h3 class="card-title">${entity.name}</h3>
+              <p class="card-subtitle">House property, FY ${TaxCalculator.describeFinancialYear(financialYear)}</p>
+            </div>
+          </div>
+          <table style="width: 100%; font-size: var(--font-size-sm);">
+            <thead>
+              <tr class="text-muted">
+                <th style="text-align: left;">Property</th>
+                <th style="text-align: right;">Net Value</th>
+                <th style="text-align: right;">30%</th>
+                <th style="text-align: right;">Interest</th>
+                <th style="text-align: right;">Income</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <p class="text-sm text-muted mt-3">
+            Old regime: ${Validators.formatCurrency(head.income)} under house property
+            ${head.unabsorbedLoss > 0 ? `; ${Validators.formatCurrency(head.unabsorbedLoss)} loss beyond the ₹2L set-off carries forward` : ''}
+          </p>
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Render one optimizer card per entity with income
+   */
+  renderOptimizer(state) {
+    const container = document.getElementById('regime-optimizer');
+    if (!container) return;
+
+    const results = RegimeOptimizer.optimizeHousehold(state);
+
+    if (results.length === 0) {
+      container.innerHTML = `
+        <div class="card">
+          <div class="empty-state" style="padding: 0;">
+            <div class="empty-state-icon">🧾</div>
+            <h4 class="empty-state-title">No Income Yet</h4>
+            <p class="empty-state-text">Add income to compare regimes and find deductions worth topping up</p>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    const regimeLabel = (regime) => regime === 'old' ? 'Old Regime' : 'New Regime';
+
+    container.innerHTML = results.map(result => {
+      const { current, breakEven, recommendations, optimized } = result;
+
+      const breakEvenText = breakEven.deductions === null
+        ? 'The new regime is cheaper at any level of deductions'
+        : breakEven.gap > 0
+          ? `Old regime needs ${Validators.formatCurrency(breakEven.deductions)} of deductions; you claim ${Validators.formatCurrency(breakEven.claimed)} (${Validators.formatCurrency(breakEven.gap)} short)`
+          : `Your deductions of ${Validators.formatCurrency(breakEven.claimed)} clear the ${Validators.formatCurrency(breakEven.deductions)} break-even`;
+
+      const rows = recommendations.map(rec => `
+        <tr>
+          <td>${rec.name}</td>
+          <td style="text-align: right;">${Validators.formatCurrency(rec.amount)}</td>
+          <td style="text-align: right;">${Validators.formatCurrency(rec.taxSaved.old)}</td>
+          <td style="text-align: right;">${Validators.formatCurrency(rec.taxSaved.new)}</td>
+        </tr>
+      `).join('');
+
+      return `
+        <div class="card">
+          <div class="card-header">
+            <div>
+              <h3 class="card-title">${result.name}</h3>
+              <p class="card-subtitle">FY ${TaxCalculator.describeFinancialYear(result.financialYear)}</p>
+            </div>
+            <span class="badge badge-success">${regimeLabel(current.recommendedRegime)}</span>
+          </div>
+
+          <div class="flex justify-between">
+            <span class="text-muted">Old regime tax:</span>
+            <span class="font-semibold">${Validators.formatCurrency(current.old)}</span>
+          </div>
+          <div class="flex justify-between mt-1">
+            <span class="text-muted">New regime tax:</span>
+            <span class="font-semibold">${Validators.formatCurrency(current.new)}</span>
+          </div>
+          <p class="text-xs text-muted mt-3">⚖️ ${breakEvenText}</p>
+          ${result.unabsorbedBusinessLoss > 0 ? `
+          <p class="text-xs text-muted mt-2">
+            ⚠️ Business loss of ${Validators.formatCurrency(result.unabsorbedBusinessLoss)} not absorbed this year (it can't reduce salary).
+            File on time to carry it forward against future business profit; it isn't carried forward here.
+          </p>
+          ` : ''}
+
+          ${recommendations.length > 0 ? `
+          <table class="mt-4" style="width: 100%; font-size: var(--font-size-sm);">
+            <thead>
+              <tr class="text-muted">
+                <th style="text-align: left;">Top-up</th>
+                <th style="text-align: right;">Amount</th>
+                <th style="text-align: right;">Saves (Old)</th>
+                <th style="text-align: right;">Saves (New)</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <p class="text-xs text-muted mt-2">ELSS and PPF share the 80C limit; pick one or split the amount</p>
+          ` : '<p class="text-sm text-muted mt-4">No deduction headroom left that would lower tax</p>'}
+
+          ${optimized.saving > 0 ? `
+          <div class="card mt-3" style="background: rgba(16, 185, 129, 0.1); padding: var(--space-2); font-size: var(--font-size-sm);">
+            With all top-ups, the ${regimeLabel(optimized.recommendedRegime).toLowerCase()} costs
+            <strong>${Validators.formatCurrency(optimized.totalTax)}</strong>,
+            saving ${Validators.formatCurrency(optimized.saving)}
+          </div>
+          ` : ''}
+
+          ${result.employerAsks.map(ask => `
+          <p class="text-xs text-muted mt-3">
+            🏢 Ask your employer: routing ${Validators.formatCurrency(ask.amount)} of CTC into ${ask.name}
+            would save ${Validators.formatCurrency(ask.taxSaved.old)} (old) or ${Validators.formatCurrency(ask.taxSaved.new)} (new)
+          </p>
+          `).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+};
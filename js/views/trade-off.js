@@ -87,18 +87,34 @@ const TradeOff = {
     const now = new Date();
     const baseYears = (targetDate - now) / (365.25 * 24 * 60 * 60 * 1000);
 
-    const result = MonteCarlo.tradeoffSimulation({
+    const targetAmount = this.currentGoal.futureValue || this.currentGoal.targetAmount;
+
+    // Each slider move supersedes the run before it; the worker is kept
+    MonteCarloRunner.tradeoffSimulation({
       currentAmount: this.currentGoal.currentValue || 0,
       currentMonthlyContribution: this.currentGoal.monthlyContribution || 0,
-      targetAmount: this.currentGoal.futureValue || this.currentGoal.targetAmount,
+      stepUp: Store.getGoalStepUp(this.currentGoal),
+      targetAmount,
       baseYears,
       baseReturn: 12,
       baseVolatility: 15,
       delayMonths,
       riskAdjustment: riskLevel - 12,
-      targetReduction: reducePercent
-    });
+      targetReduction: reducePercent,
+      seed: MonteCarlo.getSeed(),
+      returnModel: MonteCarlo.getReturnModel('equity'),
+      ...Store.getGoalInflationTerms(this.currentGoal, targetAmount)
+    }, { channel: 'tradeoff', key: 'slider' })
+      .then(result => this.renderProbability(result))
+      .catch(error => {
+        if (!error.cancelled) console.error('Trade-off simulation failed:', error);
+      });
+  },
 
+  /**
+   * Show the probability from a trade-off simulation
+   */
+  renderProbability(result) {
     const newProb = Math.round(result.probability * 100);
 
     // Update display
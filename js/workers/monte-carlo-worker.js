@@ -0,0 +1,36 @@
+/**
+ * Pro-Finance Monte Carlo Worker
+ * Runs MonteCarlo methods off the main thread
+ *
+ * Messages in:  { id, method, args }
+ * Messages out: { id, type: 'progress', progress }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+
+importScripts('../data/market-history.js', '../engines/monte-carlo.js');
+
+// Methods the page may call
+const allowedMethods = ['simulateGoal', 'simulatePlan', 'simulateDecumulation', 'simulatePortfolio', 'tradeoffSimulation', 'generateProjectionData', 'replay'];
+
+self.onmessage = (event) => {
+  const { id, method, args = [] } = event.data;
+
+  if (!allowedMethods.includes(method)) {
+    self.postMessage({ id, type: 'error', message: `Unknown simulation method ${method}` });
+    return;
+  }
+
+  try {
+    // Report progress for methods that take a params object
+    const [first, ...rest] = args;
+    const params = first && typeof first === 'object' && !Array.isArray(first)
+      ? { ...first, onProgress: (progress) => self.postMessage({ id, type: 'progress', progress }) }
+      : first;
+
+    const result = MonteCarlo[method](params, ...rest);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};